@@ -0,0 +1,116 @@
+// audit-log.js - Append-only history of every seat state transition
+//
+// Subscribes to the seat change stream, so locks, offers, extensions, bookings,
+// releases, expiries, cancellations and admin actions all land here, including
+// automatic ones (actor null). Entries are never changed or removed, and the
+// journal keeps all of them across compaction.
+const express = require('express');
+
+// deps: { storage, findEvent (seatService.findEvent), requireAuth, requireRole }
+function createAuditLog({ storage, findEvent, requireAuth, requireRole }) {
+  // { id, at, eventId, seatId, previousStatus, status, reason, actor, userId }
+  const entries = [];
+
+  // Load entries saved by a previous run
+  function restore(savedEntries = []) {
+    entries.push(...savedEntries);
+  }
+
+  // Seat change listener (subscribe to seatEvents 'change')
+  function onSeatChange(change) {
+    const entry = {
+      id: entries.length + 1,
+      at: change.at,
+      eventId: change.eventId,
+      seatId: change.seatId,
+      previousStatus: change.previousStatus,
+      status: change.status,
+      reason: change.reason,
+      actor: change.actor,
+      userId: change.userId
+    };
+    entries.push(entry);
+    storage.save('audit', entry);
+  }
+
+  // Helper: apply ?since=&until= (ms timestamps) and ?limit= (newest entries) to a list
+  // Returns { error } or { entries }
+  function page(list, query) {
+    const since = query.since !== undefined ? Number(query.since) : null;
+    const until = query.until !== undefined ? Number(query.until) : null;
+    const limit = query.limit !== undefined ? Number(query.limit) : null;
+
+    if ([since, until].some(value => value !== null && isNaN(value)) ||
+        (limit !== null && (!Number.isInteger(limit) || limit < 1))) {
+      return { error: 'since and until must be timestamps and limit a positive integer' };
+    }
+
+    const filtered = list.filter(entry =>
+      (since === null || entry.at >= since) && (until === null || entry.at <= until)
+    );
+    return { entries: limit ? filtered.slice(-limit) : filtered };
+  }
+
+  const router = express.Router();
+
+  // GET /api/events/:eventId/seats/:id/history - Every transition of one seat, oldest first (admin only)
+  router.get('/events/:eventId/seats/:id/history', requireAuth, requireRole('admin'), (req, res) => {
+    const eventId = parseInt(req.params.eventId);
+    const seatId = parseInt(req.params.id);
+    const event = findEvent(eventId);
+
+    if (!event || !event.seats.find(s => s.id === seatId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seat not found'
+      });
+    }
+
+    const result = page(entries.filter(e => e.eventId === eventId && e.seatId === seatId), req.query);
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      count: result.entries.length,
+      data: result.entries
+    });
+  });
+
+  // GET /api/users/:userId/history - Transitions a user made or that affected their seats
+  // Users may read their own history; admins anyone's.
+  router.get('/users/:userId/history', requireAuth, (req, res) => {
+    const userId = parseInt(req.params.userId);
+
+    if (userId !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only see your own history'
+      });
+    }
+
+    const result = page(entries.filter(e => e.actor === userId || e.userId === userId), req.query);
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      count: result.entries.length,
+      data: result.entries
+    });
+  });
+
+  return { router, onSeatChange, restore, entries };
+}
+
+module.exports = { createAuditLog };
@@ -0,0 +1,240 @@
+// auth.js - User registration, login and signed tokens for the seat server
+//
+// Tokens are HMAC-SHA256 signed JWTs. Set JWT_SECRET so tokens survive a restart;
+// without it a random secret is generated and every restart logs users out.
+// Accounts belong to one server instance: given an issuer, tokens name it and only
+// tokens from that issuer are accepted, so user 3 on one instance never passes for
+// user 3 on another that shares the secret.
+const crypto = require('crypto');
+const express = require('express');
+
+const TOKEN_TTL = parseInt(process.env.TOKEN_TTL) || 60 * 60 * 1000; // 1 hour in milliseconds
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const ROLES = ['user', 'admin'];
+
+// Helper: base64url without padding, as JWT requires
+function base64url(input) {
+  return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+// Helper: salted scrypt hash of a password
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return { salt, hash };
+}
+
+// Helper: constant-time password check
+function verifyPassword(password, user) {
+  const { hash } = hashPassword(password, user.salt);
+  return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(user.passwordHash, 'hex'));
+}
+
+// Helper: sign a JWT for the payload
+function signToken(payload, secret) {
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify(payload));
+  const signature = base64url(crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest());
+  return `${header}.${body}.${signature}`;
+}
+
+// Helper: verify a JWT, returns its payload or null when forged, malformed or expired
+function verifyToken(token, secret) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, body, signature] = parts;
+  const expected = base64url(crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest());
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  let payload;
+  try {
+    const decodedHeader = JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+    if (decodedHeader.alg !== 'HS256') return null;
+    payload = JSON.parse(Buffer.from(body, 'base64').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+
+  if (!payload.exp || payload.exp * 1000 <= Date.now()) return null;
+  return payload;
+}
+
+// Helper: user as returned by the API (never the password hash)
+function publicUser(user) {
+  return { id: user.id, username: user.username, role: user.role, createdAt: user.createdAt };
+}
+
+// Build the auth routes and middleware around a storage backend (see seat-storage.js)
+function createAuth(storage, secret = process.env.JWT_SECRET, issuer = null) {
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    console.warn('JWT_SECRET is not set; using a random secret, so tokens will not survive a restart');
+  }
+
+  const users = [];
+  let nextUserId = 1;
+
+  // Load users saved by a previous run
+  function restore(savedUsers = []) {
+    users.push(...savedUsers.map(user => ({ role: 'user', ...user })));
+    nextUserId = Math.max(0, ...users.map(u => u.id)) + 1;
+  }
+
+  // Helper: add and store a new user
+  function createUser(username, password, role = 'user') {
+    const { salt, hash } = hashPassword(password);
+    const user = {
+      id: nextUserId++,
+      username,
+      role,
+      salt,
+      passwordHash: hash,
+      createdAt: Date.now()
+    };
+    users.push(user);
+    storage.save('user', user);
+    return user;
+  }
+
+  // Make sure the account named by ADMIN_USERNAME/ADMIN_PASSWORD exists and is an admin
+  function ensureAdmin(username = process.env.ADMIN_USERNAME, password = process.env.ADMIN_PASSWORD) {
+    if (!username || !password) return null;
+
+    const existing = users.find(u => u.username.toLowerCase() === username.toLowerCase());
+    if (!existing) {
+      return createUser(username, password, 'admin');
+    }
+    if (existing.role !== 'admin') {
+      existing.role = 'admin';
+      storage.save('user', existing);
+    }
+    return existing;
+  }
+
+  // Change a user's role, returns the user or null if not found
+  function setRole(userId, role) {
+    const user = users.find(u => u.id === userId);
+    if (!user) return null;
+    user.role = role;
+    storage.save('user', user);
+    return user;
+  }
+
+  function issueToken(user) {
+    const now = Math.floor(Date.now() / 1000);
+    const claims = { sub: user.id, username: user.username, iat: now, exp: now + Math.floor(TOKEN_TTL / 1000) };
+    return signToken(issuer ? { ...claims, iss: issuer } : claims, secret);
+  }
+
+  // Middleware: require a valid "Authorization: Bearer <token>" header and set req.user
+  function requireAuth(req, res, next) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    const payload = verifyToken(token, secret);
+    const fromHere = payload && (!issuer || payload.iss === issuer);
+    const user = fromHere && users.find(u => u.id === payload.sub);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired token'
+      });
+    }
+
+    req.user = user;
+    next();
+  }
+
+  // Middleware (after requireAuth): only let users with the given role through
+  function requireRole(role) {
+    return (req, res, next) => {
+      if (!req.user || req.user.role !== role) {
+        return res.status(403).json({
+          success: false,
+          message: `This action requires the ${role} role`
+        });
+      }
+      next();
+    };
+  }
+
+  const router = express.Router();
+
+  // POST /api/auth/register - Create an account and get a token
+  router.post('/register', (req, res) => {
+    const { username, password } = req.body;
+
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username must be 3-32 letters, digits, dots, dashes or underscores'
+      });
+    }
+
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+
+    if (users.find(u => u.username.toLowerCase() === username.toLowerCase())) {
+      return res.status(409).json({
+        success: false,
+        message: 'Username is already taken'
+      });
+    }
+
+    const user = createUser(username, password);
+
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully',
+      data: { user: publicUser(user), token: issueToken(user) }
+    });
+  });
+
+  // POST /api/auth/login - Exchange username and password for a token
+  router.post('/login', (req, res) => {
+    const { username, password } = req.body;
+    const user = typeof username === 'string' &&
+      users.find(u => u.username.toLowerCase() === username.toLowerCase());
+
+    if (!user || typeof password !== 'string' || !verifyPassword(password, user)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid username or password'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged in successfully',
+      data: { user: publicUser(user), token: issueToken(user) }
+    });
+  });
+
+  // GET /api/auth/me - Who the token belongs to
+  router.get('/me', requireAuth, (req, res) => {
+    res.json({
+      success: true,
+      data: publicUser(req.user)
+    });
+  });
+
+  return { router, requireAuth, requireRole, restore, ensureAdmin, setRole, users };
+}
+
+module.exports = { createAuth, publicUser, ROLES, base64url, signToken, verifyToken, hashPassword, verifyPassword };
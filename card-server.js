@@ -0,0 +1,442 @@
+// card-server.js - Playing Card REST API (exercised by test-cards.js)
+const express = require('express');
+const cors = require('cors');
+
+const app = express();
+const PORT = process.env.PORT || 3000;
+
+app.use(cors());
+app.use(express.json());
+
+// Valid suits and values for a standard deck
+const SUITS = ['Hearts', 'Diamonds', 'Clubs', 'Spades'];
+const VALUES = ['Ace', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'Jack', 'Queen', 'King'];
+
+// Cards the collection starts with (and returns to on reset)
+const INITIAL_CARDS = [
+  { suit: 'Hearts', value: 'Ace' },
+  { suit: 'Spades', value: 'King' },
+  { suit: 'Diamonds', value: 'Queen' },
+  { suit: 'Clubs', value: '10' },
+  { suit: 'Hearts', value: '7' }
+];
+
+// In-memory data structure for cards
+let cards = [];
+let nextId = 1;
+
+// Helper: restore the collection to the initial deck
+function seedCards() {
+  cards = INITIAL_CARDS.map((card, index) => ({ id: index + 1, ...card }));
+  nextId = cards.length + 1;
+}
+
+// Helper: match a suit case-insensitively, returns the canonical name or null
+function normalizeSuit(suit) {
+  if (typeof suit !== 'string') return null;
+  return SUITS.find(s => s.toLowerCase() === suit.trim().toLowerCase()) || null;
+}
+
+// Helper: match a value case-insensitively, returns the canonical name or null
+function normalizeValue(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  return VALUES.find(v => v.toLowerCase() === String(value).trim().toLowerCase()) || null;
+}
+
+// Helper: validate a { suit, value } body, returns { error } or { suit, value }
+function validateCard(body) {
+  const { suit, value } = body || {};
+
+  if (suit === undefined || value === undefined) {
+    return { error: 'Both suit and value are required' };
+  }
+
+  const normalizedSuit = normalizeSuit(suit);
+  if (!normalizedSuit) {
+    return { error: `Invalid suit "${suit}". Must be one of: ${SUITS.join(', ')}` };
+  }
+
+  const normalizedValue = normalizeValue(value);
+  if (!normalizedValue) {
+    return { error: `Invalid value "${value}". Must be one of: ${VALUES.join(', ')}` };
+  }
+
+  return { suit: normalizedSuit, value: normalizedValue };
+}
+
+// Helper: find a card with the same suit and value (optionally ignoring one ID)
+function findDuplicate(suit, value, ignoreId = null) {
+  return cards.find(card => card.suit === suit && card.value === value && card.id !== ignoreId);
+}
+
+seedCards();
+
+// GET /cards - Get all cards
+app.get('/cards', (req, res) => {
+  res.json(cards);
+});
+
+// GET /cards/suit/:suit - Get cards by suit
+app.get('/cards/suit/:suit', (req, res) => {
+  const suit = normalizeSuit(req.params.suit);
+
+  if (!suit) {
+    return res.status(400).json({ message: `Invalid suit "${req.params.suit}". Must be one of: ${SUITS.join(', ')}` });
+  }
+
+  res.json(cards.filter(card => card.suit === suit));
+});
+
+// GET /cards/value/:value - Get cards by value
+app.get('/cards/value/:value', (req, res) => {
+  const value = normalizeValue(req.params.value);
+
+  if (!value) {
+    return res.status(400).json({ message: `Invalid value "${req.params.value}". Must be one of: ${VALUES.join(', ')}` });
+  }
+
+  res.json(cards.filter(card => card.value === value));
+});
+
+// POST /cards/reset - Restore the initial deck
+app.post('/cards/reset', (req, res) => {
+  seedCards();
+  res.json({ message: `Deck reset to ${cards.length} cards` });
+});
+
+// GET /cards/:id - Get card by ID
+app.get('/cards/:id', (req, res) => {
+  const card = cards.find(c => c.id === parseInt(req.params.id));
+
+  if (!card) {
+    return res.status(404).json({ message: `Card ${req.params.id} not found` });
+  }
+
+  res.json(card);
+});
+
+// POST /cards - Add a new card
+app.post('/cards', (req, res) => {
+  const result = validateCard(req.body);
+
+  if (result.error) {
+    return res.status(400).json({ message: result.error });
+  }
+
+  if (findDuplicate(result.suit, result.value)) {
+    return res.status(409).json({ message: `${result.value} of ${result.suit} already exists` });
+  }
+
+  const card = { id: nextId++, suit: result.suit, value: result.value };
+  cards.push(card);
+
+  res.status(201).json(card);
+});
+
+// PUT /cards/:id - Update a card
+app.put('/cards/:id', (req, res) => {
+  const card = cards.find(c => c.id === parseInt(req.params.id));
+
+  if (!card) {
+    return res.status(404).json({ message: `Card ${req.params.id} not found` });
+  }
+
+  const result = validateCard(req.body);
+
+  if (result.error) {
+    return res.status(400).json({ message: result.error });
+  }
+
+  if (findDuplicate(result.suit, result.value, card.id)) {
+    return res.status(409).json({ message: `${result.value} of ${result.suit} already exists` });
+  }
+
+  card.suit = result.suit;
+  card.value = result.value;
+
+  res.json(card);
+});
+
+// DELETE /cards/:id - Delete a card
+app.delete('/cards/:id', (req, res) => {
+  const index = cards.findIndex(c => c.id === parseInt(req.params.id));
+
+  if (index === -1) {
+    return res.status(404).json({ message: `Card ${req.params.id} not found` });
+  }
+
+  const [card] = cards.splice(index, 1);
+
+  res.json({ message: `${card.value} of ${card.suit} deleted successfully` });
+});
+
+// ============================================
+// Decks - shuffle, draw, deal and discard
+// ============================================
+
+// In-memory data structure for named decks
+// Each deck: { name, source, cards (draw pile, top first), hands, table, discard, lastSeed }
+const decks = [];
+
+// Helper: build a fresh 52-card deck in suit/value order
+function buildStandardDeck() {
+  const deck = [];
+  SUITS.forEach(suit => {
+    VALUES.forEach(value => {
+      deck.push({ id: deck.length + 1, suit, value });
+    });
+  });
+  return deck;
+}
+
+// Helper: turn any seed (number or string) into a 32-bit integer
+function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+// Helper: small seeded PRNG (mulberry32) so a seed always gives the same order
+function createRandom(seed) {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Helper: Fisher-Yates shuffle in place, returns the seed that was used
+function shuffleCards(list, seed) {
+  const usedSeed = seed === undefined || seed === null || seed === ''
+    ? String(Math.floor(Math.random() * 1e9))
+    : String(seed);
+  const random = createRandom(usedSeed);
+
+  for (let i = list.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [list[i], list[j]] = [list[j], list[i]];
+  }
+
+  return usedSeed;
+}
+
+// Helper: public view of a deck (the order of the draw pile stays hidden)
+function deckSummary(deck) {
+  return {
+    name: deck.name,
+    source: deck.source,
+    remaining: deck.cards.length,
+    hands: deck.hands,
+    table: deck.table,
+    discard: deck.discard,
+    lastSeed: deck.lastSeed
+  };
+}
+
+// Helper: parse a positive integer count, returns null when invalid
+function parseCount(value, fallback) {
+  if (value === undefined) return fallback;
+  const count = Number(value);
+  return Number.isInteger(count) && count > 0 ? count : null;
+}
+
+// Middleware: resolve :name to a deck or answer 404
+function findDeck(req, res, next) {
+  const deck = decks.find(d => d.name === req.params.name);
+
+  if (!deck) {
+    return res.status(404).json({ message: `Deck "${req.params.name}" not found` });
+  }
+
+  req.deck = deck;
+  next();
+}
+
+// GET /decks - List all decks
+app.get('/decks', (req, res) => {
+  res.json(decks.map(deckSummary));
+});
+
+// POST /decks - Create a named deck from the standard 52 cards or the /cards collection
+app.post('/decks', (req, res) => {
+  const { name, source = 'standard', shuffle = false, seed } = req.body || {};
+
+  if (typeof name !== 'string' || !name.trim()) {
+    return res.status(400).json({ message: 'Deck name is required' });
+  }
+
+  if (source !== 'standard' && source !== 'collection') {
+    return res.status(400).json({ message: 'Source must be "standard" or "collection"' });
+  }
+
+  if (decks.find(d => d.name === name.trim())) {
+    return res.status(409).json({ message: `Deck "${name.trim()}" already exists` });
+  }
+
+  const deck = {
+    name: name.trim(),
+    source,
+    cards: source === 'standard' ? buildStandardDeck() : cards.map(card => ({ ...card })),
+    hands: {},
+    table: [],
+    discard: [],
+    lastSeed: null
+  };
+
+  if (shuffle || seed !== undefined) {
+    deck.lastSeed = shuffleCards(deck.cards, seed);
+  }
+
+  decks.push(deck);
+
+  res.status(201).json(deckSummary(deck));
+});
+
+// GET /decks/:name - Get a deck's piles and hands
+app.get('/decks/:name', findDeck, (req, res) => {
+  res.json(deckSummary(req.deck));
+});
+
+// DELETE /decks/:name - Delete a deck
+app.delete('/decks/:name', findDeck, (req, res) => {
+  decks.splice(decks.indexOf(req.deck), 1);
+  res.json({ message: `Deck "${req.deck.name}" deleted successfully` });
+});
+
+// POST /decks/:name/shuffle - Shuffle the draw pile (pass a seed to reproduce an order)
+app.post('/decks/:name/shuffle', findDeck, (req, res) => {
+  const { seed } = req.body || {};
+
+  req.deck.lastSeed = shuffleCards(req.deck.cards, seed);
+
+  res.json({
+    message: `Deck "${req.deck.name}" shuffled`,
+    seed: req.deck.lastSeed,
+    remaining: req.deck.cards.length
+  });
+});
+
+// POST /decks/:name/draw - Draw cards from the top, into a player's hand or onto the table
+app.post('/decks/:name/draw', findDeck, (req, res) => {
+  const { player } = req.body || {};
+  const count = parseCount((req.body || {}).count, 1);
+
+  if (count === null) {
+    return res.status(400).json({ message: 'Count must be a positive integer' });
+  }
+
+  if (player !== undefined && (typeof player !== 'string' || !player.trim())) {
+    return res.status(400).json({ message: 'Player must be a non-empty string' });
+  }
+
+  if (count > req.deck.cards.length) {
+    return res.status(400).json({ message: `Cannot draw ${count} card(s), only ${req.deck.cards.length} left` });
+  }
+
+  const drawn = req.deck.cards.splice(0, count);
+
+  if (player) {
+    const hand = req.deck.hands[player.trim()] || (req.deck.hands[player.trim()] = []);
+    hand.push(...drawn);
+  } else {
+    req.deck.table.push(...drawn);
+  }
+
+  res.json({ cards: drawn, remaining: req.deck.cards.length });
+});
+
+// POST /decks/:name/deal - Deal `count` cards to each player, one at a time in turn
+app.post('/decks/:name/deal', findDeck, (req, res) => {
+  const { players } = req.body || {};
+  const count = parseCount((req.body || {}).count, 1);
+
+  if (!Array.isArray(players) || players.length === 0 ||
+      players.some(p => typeof p !== 'string' || !p.trim())) {
+    return res.status(400).json({ message: 'Players must be a non-empty array of names' });
+  }
+
+  if (new Set(players.map(p => p.trim())).size !== players.length) {
+    return res.status(400).json({ message: 'Player names must be unique' });
+  }
+
+  if (count === null) {
+    return res.status(400).json({ message: 'Count must be a positive integer' });
+  }
+
+  const needed = count * players.length;
+  if (needed > req.deck.cards.length) {
+    return res.status(400).json({ message: `Cannot deal ${needed} card(s), only ${req.deck.cards.length} left` });
+  }
+
+  const dealt = {};
+  players.forEach(p => { dealt[p.trim()] = []; });
+
+  for (let round = 0; round < count; round++) {
+    players.forEach(p => {
+      dealt[p.trim()].push(req.deck.cards.shift());
+    });
+  }
+
+  Object.entries(dealt).forEach(([player, hand]) => {
+    const existing = req.deck.hands[player] || (req.deck.hands[player] = []);
+    existing.push(...hand);
+  });
+
+  res.json({ hands: dealt, remaining: req.deck.cards.length });
+});
+
+// POST /decks/:name/discard - Move cards from hands or the table to the discard pile
+app.post('/decks/:name/discard', findDeck, (req, res) => {
+  const { cardIds } = req.body || {};
+
+  if (!Array.isArray(cardIds) || cardIds.length === 0) {
+    return res.status(400).json({ message: 'cardIds must be a non-empty array' });
+  }
+
+  const piles = [req.deck.table, ...Object.values(req.deck.hands)];
+  const ids = [...new Set(cardIds.map(Number))];
+
+  // Check every card first so a bad ID leaves the deck untouched
+  const missing = ids.filter(id => !piles.some(pile => pile.some(card => card.id === id)));
+  if (missing.length > 0) {
+    return res.status(404).json({ message: `Card(s) ${missing.join(', ')} are not in a hand or on the table` });
+  }
+
+  const discarded = [];
+  ids.forEach(id => {
+    const pile = piles.find(p => p.some(card => card.id === id));
+    discarded.push(...pile.splice(pile.findIndex(card => card.id === id), 1));
+  });
+
+  req.deck.discard.push(...discarded);
+
+  res.json({ cards: discarded, discard: req.deck.discard.length });
+});
+
+// POST /decks/:name/discard/return - Put the discard pile back under the draw pile
+app.post('/decks/:name/discard/return', findDeck, (req, res) => {
+  const { shuffle = false, seed } = req.body || {};
+  const returned = req.deck.discard.splice(0);
+
+  if (shuffle || seed !== undefined) {
+    req.deck.lastSeed = shuffleCards(returned, seed);
+  }
+
+  req.deck.cards.push(...returned);
+
+  res.json({
+    message: `${returned.length} card(s) returned to deck "${req.deck.name}"`,
+    remaining: req.deck.cards.length
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Card API is running on port ${PORT}`);
+});
@@ -0,0 +1,354 @@
+// employee-commands.js - Subcommands for scripting employee-management.js
+//
+// runCommand(args, store) runs one command from the command line and returns its exit
+// code: 0 done, 1 the command failed (no such employee, invalid value, data file
+// problem, data file in use), 2 bad usage. Results go to stdout - as JSON with --format
+// json - and errors to stderr, so the tool can sit in shell pipelines and cron jobs.
+// Commands that change the data file hold its lock from load to save (see employee-store.js).
+const { Employee, FIELDS, parseField, removeEmployee, setField } = require('./employee-model');
+const { queryEmployees } = require('./employee-query');
+const { formatTable, formatDetails } = require('./employee-format');
+const { TYPES, fileType, exportEmployees, writeExportFile, readImportFile, importRecords } = require('./employee-transfer');
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const FORMATS = ['table', 'json'];
+
+// Helper: field key -> flag name (jobTitle -> job-title)
+function flagName(key) {
+  return key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+const FIELD_FLAGS = FIELDS.map(field => flagName(field.key));
+
+const USAGE = `Usage: node employee-management.js [command] [--flag value ...]
+Without a command the interactive menu starts.
+
+Commands:
+  add      --name <name> --id <id> [--email <email>] [--department <name>] [--job-title <title>]
+           [--manager-id <id>] [--hire-date YYYY-MM-DD] [--salary <amount>] [--status active|terminated]
+  update   --id <id> [--new-id <id>] and any add flag to change that field (an empty value clears it)
+  remove   --id <id>
+  search   --name <part of a name> and/or --id <id>
+  list     [--name <part>] [--department <name>] [--role <job title>] [--status active|terminated]
+           [--sort <field>] [--order asc|desc] [--page <n>] [--page-size <n>]
+  import   --file <path> [--type csv|json]
+           Adds every valid row and lists the rejected ones; the type comes from the extension
+  export   [--file <path>] [--type csv|json] [--name ...] [--department ...] [--role ...] [--status ...]
+           [--sort <field>] [--order asc|desc]
+           Writes the employees matching the filters (all by default) to the file, or to stdout
+  help     Show this help
+
+Every command takes --format table (default) or --format json.
+Exit codes: 0 done, 1 failed (not found, invalid value, data file problem or in use,
+rejected import rows, page past the last), 2 bad usage.`;
+
+// Helper: split "command --flag value --flag=value" into { command, flags }, or { error }
+// A flag with no value is true.
+function parseArgs(args) {
+  const [command, ...rest] = args;
+  const flags = {};
+
+  for (let i = 0; i < rest.length; i++) {
+    const token = rest[i];
+    if (!token.startsWith('--') || token === '--') {
+      return { error: `Unexpected argument "${token}"` };
+    }
+
+    let name = token.slice(2);
+    let value = true;
+    const equals = name.indexOf('=');
+    if (equals !== -1) {
+      value = name.slice(equals + 1);
+      name = name.slice(0, equals);
+    } else if (i + 1 < rest.length && !rest[i + 1].startsWith('--')) {
+      value = rest[++i];
+    }
+
+    if (name in flags) {
+      return { error: `--${name} is given more than once` };
+    }
+    flags[name] = value;
+  }
+
+  return { command, flags };
+}
+
+// Helper: check flags against what a command accepts, returns an error message or null
+function checkFlags(flags, allowed, required = []) {
+  const unknown = Object.keys(flags).find(name => !allowed.includes(name));
+  if (unknown) return `Unknown flag --${unknown}`;
+
+  const bare = Object.keys(flags).find(name => flags[name] === true);
+  if (bare) return `--${bare} needs a value`;
+
+  const missing = required.find(name => flags[name] === undefined);
+  if (missing) return `--${missing} is required`;
+
+  if (flags.format !== undefined && !FORMATS.includes(flags.format)) {
+    return `--format must be one of ${FORMATS.join(', ')}`;
+  }
+  return null;
+}
+
+function usageError(message) {
+  console.error(`Error: ${message}`);
+  console.error('Run "node employee-management.js help" for usage.');
+  return EXIT_USAGE;
+}
+
+function failure(message) {
+  console.error(`Error: ${message}`);
+  return EXIT_FAILED;
+}
+
+// Helper: print a result - data as JSON, or the text for people
+function report(flags, data, text) {
+  console.log(flags.format === 'json' ? JSON.stringify(data, null, 2) : text);
+  return EXIT_OK;
+}
+
+// Helper: load the employees, returns them or null (after reporting why)
+function load(store) {
+  try {
+    return store.load().map(record => new Employee(record));
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    return null;
+  }
+}
+
+// Helper: save the employees, returns false (after reporting why) if that failed
+function save(store, employees) {
+  try {
+    store.save(employees);
+    return true;
+  } catch (err) {
+    console.error(`Error: Could not save employees: ${err.message}`);
+    return false;
+  }
+}
+
+function addCommand(flags, store) {
+  const error = checkFlags(flags, [...FIELD_FLAGS, 'format'], ['name', 'id']);
+  if (error) return usageError(error);
+
+  const employees = load(store);
+  if (!employees) return EXIT_FAILED;
+
+  const values = {};
+  for (const field of FIELDS) {
+    const result = parseField(field.key, flags[flagName(field.key)], employees);
+    if (result.error) return failure(result.error);
+    values[field.key] = result.value;
+  }
+
+  const employee = new Employee(values);
+  employees.push(employee);
+  if (!save(store, employees)) return EXIT_FAILED;
+
+  return report(flags, employee, `✓ Employee ${employee.name} (ID: ${employee.id}) added successfully!`);
+}
+
+function updateCommand(flags, store) {
+  const allowed = ['new-id', ...FIELD_FLAGS, 'format'];
+  const error = checkFlags(flags, allowed, ['id']);
+  if (error) return usageError(error);
+
+  // Which fields to change, in field order; --new-id changes the ID
+  const changes = FIELDS
+    .map(field => ({ field, text: field.key === 'id' ? flags['new-id'] : flags[flagName(field.key)] }))
+    .filter(change => change.text !== undefined);
+  if (changes.length === 0) {
+    return usageError('Give at least one field to change, e.g. --department Sales');
+  }
+
+  const employees = load(store);
+  if (!employees) return EXIT_FAILED;
+
+  const employee = employees.find(emp => emp.id === flags.id);
+  if (!employee) return failure(`No employee found with ID ${flags.id}`);
+
+  for (const { field, text } of changes) {
+    const result = parseField(field.key, text, employees, employee);
+    if (result.error) return failure(result.error);
+    setField(employees, employee, field.key, result.value);
+  }
+  if (!save(store, employees)) return EXIT_FAILED;
+
+  return report(flags, employee, `✓ Employee ${employee.name} (ID: ${employee.id}) updated successfully!`);
+}
+
+function removeCommand(flags, store) {
+  const error = checkFlags(flags, ['id', 'format'], ['id']);
+  if (error) return usageError(error);
+
+  const employees = load(store);
+  if (!employees) return EXIT_FAILED;
+
+  const result = removeEmployee(employees, flags.id);
+  if (!result) return failure(`No employee found with ID ${flags.id}`);
+  if (!save(store, result.employees)) return EXIT_FAILED;
+
+  const lines = [`✓ Employee with ID ${flags.id} removed successfully!`];
+  if (result.reports.length > 0) {
+    lines.push(`  ${result.reports.length} employee(s) who reported to them now have no manager.`);
+  }
+  return report(flags, { removed: result.removed, unmanaged: result.reports.map(emp => emp.id) }, lines.join('\n'));
+}
+
+function searchCommand(flags, store) {
+  const error = checkFlags(flags, ['name', 'id', 'format']);
+  if (error) return usageError(error);
+  if (flags.name === undefined && flags.id === undefined) {
+    return usageError('search needs --name and/or --id');
+  }
+
+  const employees = load(store);
+  if (!employees) return EXIT_FAILED;
+
+  const matches = queryEmployees(employees, { name: flags.name }).employees
+    .filter(emp => flags.id === undefined || emp.id === flags.id);
+
+  if (matches.length === 0) {
+    if (flags.format === 'json') console.log('[]');
+    return failure('No employee found matching the search');
+  }
+  return report(flags, matches, matches.length === 1 ? formatDetails(matches[0]) : formatTable(matches));
+}
+
+function listCommand(flags, store) {
+  const allowed = ['name', 'department', 'role', 'status', 'sort', 'order', 'page', 'page-size', 'format'];
+  const error = checkFlags(flags, allowed);
+  if (error) return usageError(error);
+
+  const employees = load(store);
+  if (!employees) return EXIT_FAILED;
+
+  const result = queryEmployees(employees, {
+    name: flags.name,
+    department: flags.department,
+    role: flags.role,
+    status: flags.status,
+    sortBy: flags.sort,
+    order: flags.order,
+    page: flags.page,
+    pageSize: flags['page-size']
+  });
+  if (result.error) return result.pastEnd ? failure(result.error) : usageError(result.error);
+
+  const lines = [];
+  if (result.total === 0) {
+    lines.push('No employees found.');
+  } else {
+    lines.push(formatTable(result.employees), '', `Total employees: ${result.total}`);
+    if (result.pages > 1) lines.push(`Page ${result.page} of ${result.pages}`);
+  }
+  return report(flags, result, lines.join('\n'));
+}
+
+function importCommand(flags, store) {
+  const error = checkFlags(flags, ['file', 'type', 'format'], ['file']);
+  if (error) return usageError(error);
+  const kind = fileType(flags.file, flags.type);
+  if (kind.error) return usageError(kind.error);
+
+  const employees = load(store);
+  if (!employees) return EXIT_FAILED;
+
+  const file = readImportFile(flags.file, kind.type);
+  if (file.error) return failure(file.error);
+
+  const { added, rejected } = importRecords(employees, file.records);
+  if (added.length > 0 && !save(store, [...employees, ...added])) return EXIT_FAILED;
+
+  const lines = [`✓ Imported ${added.length} employee(s) from ${flags.file}`];
+  if (rejected.length > 0) {
+    lines.push(`✗ Rejected ${rejected.length} row(s):`);
+    rejected.forEach(({ row, id, errors }) => {
+      lines.push(`  Row ${row}${id ? ` (ID ${id})` : ''}: ${errors.join('; ')}`);
+    });
+  }
+  report(flags, { imported: added.map(emp => emp.id), rejected }, lines.join('\n'));
+  return rejected.length > 0 ? EXIT_FAILED : EXIT_OK;
+}
+
+function exportCommand(flags, store) {
+  const allowed = ['file', 'type', 'name', 'department', 'role', 'status', 'sort', 'order', 'format'];
+  const error = checkFlags(flags, allowed);
+  if (error) return usageError(error);
+  if (flags.file === undefined && flags.type === undefined) {
+    return usageError(`export needs --file or --type (${TYPES.join(', ')})`);
+  }
+  const kind = fileType(flags.file, flags.type);
+  if (kind.error) return usageError(kind.error);
+
+  const employees = load(store);
+  if (!employees) return EXIT_FAILED;
+
+  const result = queryEmployees(employees, {
+    name: flags.name,
+    department: flags.department,
+    role: flags.role,
+    status: flags.status,
+    sortBy: flags.sort,
+    order: flags.order
+  });
+  if (result.error) return usageError(result.error);
+
+  if (flags.file === undefined) {
+    process.stdout.write(exportEmployees(result.employees, kind.type));
+    return EXIT_OK;
+  }
+  try {
+    writeExportFile(flags.file, result.employees, kind.type);
+  } catch (err) {
+    return failure(`Could not write ${flags.file}: ${err.message}`);
+  }
+  return report(flags, { exported: result.total, file: flags.file },
+    `✓ Exported ${result.total} employee(s) to ${flags.file}`);
+}
+
+const COMMANDS = {
+  add: addCommand,
+  update: updateCommand,
+  remove: removeCommand,
+  search: searchCommand,
+  list: listCommand,
+  import: importCommand,
+  export: exportCommand
+};
+
+// Commands that load, change and save the data file
+const CHANGING_COMMANDS = ['add', 'update', 'remove', 'import'];
+
+// Run one command line (process.argv without node and the script), returns the exit code
+function runCommand(args, store) {
+  const parsed = parseArgs(args);
+  if (parsed.error) return usageError(parsed.error);
+
+  const { command, flags } = parsed;
+  if (['help', '--help', '-h'].includes(command)) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+
+  const run = COMMANDS[command];
+  if (!run) return usageError(`Unknown command "${command}"`);
+  if (!CHANGING_COMMANDS.includes(command)) return run(flags, store);
+
+  try {
+    store.lock();
+  } catch (err) {
+    return failure(err.message);
+  }
+  try {
+    return run(flags, store);
+  } finally {
+    store.unlock();
+  }
+}
+
+module.exports = { runCommand, parseArgs };
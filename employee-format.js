@@ -0,0 +1,27 @@
+// employee-format.js - Text layouts for employee records, shared by the menu and the subcommands
+const { FIELDS } = require('./employee-model');
+
+// Helper: a field value for display; blanks show as "-"
+function formatValue(value) {
+  return value === null || value === undefined || value === '' ? '-' : String(value);
+}
+
+// Employees as a table with one row each
+function formatTable(list) {
+  const lines = [
+    'ID\t| Name\t\t\t| Department\t| Job title\t| Status',
+    '--------|-----------------------|---------------|---------------|-----------'
+  ];
+  list.forEach(employee => {
+    const name = employee.name.padEnd(22);
+    lines.push(`${employee.id}\t| ${name}| ${formatValue(employee.department)}\t| ${formatValue(employee.jobTitle)}\t| ${employee.status}`);
+  });
+  return lines.join('\n');
+}
+
+// Every field of one employee, one "Label: value" line each
+function formatDetails(employee) {
+  return FIELDS.map(field => `${field.label}: ${formatValue(employee[field.key])}`).join('\n');
+}
+
+module.exports = { formatValue, formatTable, formatDetails };
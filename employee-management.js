@@ -1,79 +1,203 @@
 const readline = require('readline');
+const { createEmployeeStore } = require('./employee-store');
+const { Employee, FIELDS, STATUSES, parseField, removeEmployee: removeById, setField } = require('./employee-model');
+const { queryEmployees } = require('./employee-query');
+const { formatValue, formatTable, formatDetails } = require('./employee-format');
+const { runCommand } = require('./employee-commands');
+const { fileType, writeExportFile, readImportFile, importRecords } = require('./employee-transfer');
 
-// Employee array to store all employees
+// Data file the employees are kept in (EMPLOYEE_DATA_FILE, default data/employees.json)
+const store = createEmployeeStore();
+
+// Employee array to store all employees - loaded from the data file at startup
 let employees = [];
 
-// Create readline interface
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
-
-// Employee class to structure employee data
-class Employee {
-  constructor(name, id) {
-    this.name = name;
-    this.id = id;
+// Employees shown per page of the list (EMPLOYEE_PAGE_SIZE, default 20)
+const PAGE_SIZE = parseInt(process.env.EMPLOYEE_PAGE_SIZE) || 20;
+
+// Readline interface - created when the interactive menu starts
+let rl = null;
+
+// Function to write employees to the data file
+// Returns false (after reporting why) if they could not be saved
+function saveEmployees() {
+  try {
+    store.save(employees);
+    return true;
+  } catch (err) {
+    console.log(`Error: Could not save employees: ${err.message}`);
+    return false;
   }
 }
 
+// Function to copy the employee list, so a change can be undone if saving it fails
+function snapshotEmployees() {
+  return employees.map(emp => new Employee(emp));
+}
+
 // Function to display menu
 function showMenu() {
   console.log('\n=== Employee Management System ===');
   console.log('1. Add Employee');
   console.log('2. List All Employees');
   console.log('3. Remove Employee by ID');
-  console.log('4. Search Employee by ID');
-  console.log('5. Exit');
+  console.log('4. Search Employees by ID or Name');
+  console.log('5. Update Employee by ID');
+  console.log('6. Import Employees from CSV/JSON');
+  console.log('7. Export Employees to CSV/JSON');
+  console.log('8. Exit');
   console.log('====================================');
 }
 
+// Function to ask for the given fields one after another, then call done(values)
+// An invalid answer is reported and goes back to the menu, like an empty name always has.
+function askFields(fields, values, done) {
+  if (fields.length === 0) {
+    return done(values);
+  }
+  
+  const [field, ...rest] = fields;
+  const hint = field.required ? '' : ' (optional)';
+  rl.question(`Enter ${field.prompt}${hint}: `, (text) => {
+    const result = parseField(field.key, text, employees);
+    if (result.error) {
+      console.log(`Error: ${result.error}`);
+      return showMenuAndGetChoice();
+    }
+    
+    askFields(rest, { ...values, [field.key]: result.value }, done);
+  });
+}
+
 // Function to add a new employee
 function addEmployee() {
-  rl.question('Enter employee name: ', (name) => {
-    if (!name.trim()) {
-      console.log('Error: Employee name cannot be empty!');
+  askFields(FIELDS, {}, (values) => {
+    // Add new employee
+    const newEmployee = new Employee(values);
+    employees.push(newEmployee);
+    if (!saveEmployees()) {
+      employees.pop();
       return showMenuAndGetChoice();
     }
-    
-    rl.question('Enter employee ID: ', (id) => {
-      if (!id.trim()) {
-        console.log('Error: Employee ID cannot be empty!');
-        return showMenuAndGetChoice();
-      }
-      
-      // Check if employee ID already exists
-      const existingEmployee = employees.find(emp => emp.id === id);
-      if (existingEmployee) {
-        console.log(`Error: Employee with ID ${id} already exists!`);
-        return showMenuAndGetChoice();
-      }
-      
-      // Add new employee
-      const newEmployee = new Employee(name.trim(), id.trim());
-      employees.push(newEmployee);
-      console.log(`✓ Employee ${name} (ID: ${id}) added successfully!`);
-      showMenuAndGetChoice();
-    });
+    console.log(`✓ Employee ${newEmployee.name} (ID: ${newEmployee.id}) added successfully!`);
+    showMenuAndGetChoice();
   });
 }
 
-// Function to list all employees
-function listEmployees() {
+// Function to describe the list's filters and sort order, e.g. 'department "Sales"; sorted by Salary (desc)'
+function describeView(view) {
+  const parts = [];
+  if (view.name) parts.push(`name contains "${view.name}"`);
+  if (view.department) parts.push(`department "${view.department}"`);
+  if (view.role) parts.push(`role "${view.role}"`);
+  if (view.status) parts.push(`status ${view.status}`);
+  if (view.sortBy) {
+    const field = FIELDS.find(f => f.key === view.sortBy);
+    parts.push(`sorted by ${field.label} (${view.order || 'asc'})`);
+  }
+  return parts.join('; ');
+}
+
+// Function to list employees a page at a time
+// view holds the filters, sort order and page (see employee-query.js)
+function listEmployees(view = { page: 1 }) {
   console.log('\n=== Employee List ===');
   
-  if (employees.length === 0) {
+  const result = queryEmployees(employees, { ...view, pageSize: PAGE_SIZE });
+  if (describeView(view)) {
+    console.log(`Showing: ${describeView(view)}`);
+  }
+  
+  if (result.total === 0) {
     console.log('No employees found.');
   } else {
-    console.log('ID\t| Name');
-    console.log('--------|----------------');
-    employees.forEach(employee => {
-      console.log(`${employee.id}\t| ${employee.name}`);
-    });
-    console.log(`\nTotal employees: ${employees.length}`);
+    console.log(formatTable(result.employees));
+    console.log(`\nTotal employees: ${result.total}`);
+    if (result.pages > 1) {
+      console.log(`Page ${result.page} of ${result.pages}`);
+    }
   }
   
-  showMenuAndGetChoice();
+  rl.question('n: next page, p: previous page, f: filter, s: sort, e: export, Enter: back to menu: ', (choice) => {
+    switch (choice.trim().toLowerCase()) {
+      case 'n':
+        listEmployees({ ...view, page: Math.min(result.page + 1, result.pages) });
+        break;
+      case 'p':
+        listEmployees({ ...view, page: Math.max(result.page - 1, 1) });
+        break;
+      case 'f':
+        filterList(view);
+        break;
+      case 's':
+        sortList(view);
+        break;
+      case 'e':
+        exportList(view, () => listEmployees(view));
+        break;
+      case '':
+        showMenuAndGetChoice();
+        break;
+      default:
+        console.log('Invalid choice!');
+        listEmployees(view);
+    }
+  });
+}
+
+// Function to ask for new list filters (blank means any) and show the first page of matches
+function filterList(view) {
+  rl.question('Name contains (blank for any): ', (name) => {
+    rl.question('Department (blank for any): ', (department) => {
+      rl.question('Role / job title (blank for any): ', (role) => {
+        rl.question(`Status (${STATUSES.join('/')}, blank for any): `, (status) => {
+          const filtered = {
+            ...view,
+            name: name.trim(),
+            department: department.trim(),
+            role: role.trim(),
+            status: status.trim().toLowerCase(),
+            page: 1
+          };
+          
+          const check = queryEmployees(employees, filtered);
+          if (check.error) {
+            console.log(`Error: ${check.error}`);
+            return listEmployees(view);
+          }
+          listEmployees(filtered);
+        });
+      });
+    });
+  });
+}
+
+// Function to ask for a sort field and order and show the first page
+function sortList(view) {
+  FIELDS.forEach((field, index) => console.log(`${index + 1}. ${field.label}`));
+  
+  rl.question(`Sort by (1-${FIELDS.length}, blank for the order they were added): `, (choice) => {
+    if (!choice.trim()) {
+      return listEmployees({ ...view, sortBy: null, order: null, page: 1 });
+    }
+    
+    const field = FIELDS[parseInt(choice) - 1];
+    if (!field || String(parseInt(choice)) !== choice.trim()) {
+      console.log(`Invalid choice! Please enter a number between 1-${FIELDS.length}.`);
+      return listEmployees(view);
+    }
+    
+    rl.question('Order (asc/desc, blank for asc): ', (order) => {
+      const sorted = { ...view, sortBy: field.key, order: order.trim().toLowerCase() || 'asc', page: 1 };
+      
+      const check = queryEmployees(employees, sorted);
+      if (check.error) {
+        console.log(`Error: ${check.error}`);
+        return listEmployees(view);
+      }
+      listEmployees(sorted);
+    });
+  });
 }
 
 // Function to remove employee by ID
@@ -89,11 +213,19 @@ function removeEmployee() {
       return showMenuAndGetChoice();
     }
     
-    const initialLength = employees.length;
-    employees = employees.filter(emp => emp.id !== id.trim());
+    const previousEmployees = snapshotEmployees();
+    const result = removeById(employees, id.trim());
     
-    if (employees.length < initialLength) {
+    if (result) {
+      employees = result.employees;
+      if (!saveEmployees()) {
+        employees = previousEmployees;
+        return showMenuAndGetChoice();
+      }
       console.log(`✓ Employee with ID ${id} removed successfully!`);
+      if (result.reports.length > 0) {
+        console.log(`  ${result.reports.length} employee(s) who reported to them now have no manager.`);
+      }
     } else {
       console.log(`Error: No employee found with ID ${id}`);
     }
@@ -102,37 +234,156 @@ function removeEmployee() {
   });
 }
 
-// Function to search employee by ID
+// Function to search employees by exact ID or by part of a name (any case)
 function searchEmployee() {
   if (employees.length === 0) {
     console.log('No employees to search.');
     return showMenuAndGetChoice();
   }
   
-  rl.question('Enter employee ID to search: ', (id) => {
-    if (!id.trim()) {
-      console.log('Error: Employee ID cannot be empty!');
+  rl.question('Enter employee ID or part of a name to search: ', (text) => {
+    const term = text.trim();
+    if (!term) {
+      console.log('Error: Search cannot be empty!');
       return showMenuAndGetChoice();
     }
     
-    const employee = employees.find(emp => emp.id === id.trim());
+    const byId = employees.find(emp => emp.id === term);
+    const matches = byId ? [byId] : queryEmployees(employees, { name: term }).employees;
     
-    if (employee) {
+    if (matches.length === 1) {
       console.log('\n=== Employee Found ===');
-      console.log(`Name: ${employee.name}`);
-      console.log(`ID: ${employee.id}`);
+      console.log(formatDetails(matches[0]));
+    } else if (matches.length > 1) {
+      console.log(`\n=== ${matches.length} Employees Found ===`);
+      console.log(formatTable(matches));
     } else {
+      console.log(`Error: No employee found with ID or name matching ${term}`);
+    }
+    
+    showMenuAndGetChoice();
+  });
+}
+
+// Function to update one field of an employee by ID
+function updateEmployee() {
+  if (employees.length === 0) {
+    console.log('No employees to update.');
+    return showMenuAndGetChoice();
+  }
+  
+  rl.question('Enter employee ID to update: ', (id) => {
+    if (!id.trim()) {
+      console.log('Error: Employee ID cannot be empty!');
+      return showMenuAndGetChoice();
+    }
+    
+    const employee = employees.find(emp => emp.id === id.trim());
+    if (!employee) {
       console.log(`Error: No employee found with ID ${id}`);
+      return showMenuAndGetChoice();
     }
     
+    console.log('\n=== Current Details ===');
+    FIELDS.forEach((field, index) => {
+      console.log(`${index + 1}. ${field.label}: ${formatValue(employee[field.key])}`);
+    });
+    
+    rl.question(`Enter field to update (1-${FIELDS.length}): `, (choice) => {
+      const field = FIELDS[parseInt(choice) - 1];
+      if (!field || String(parseInt(choice)) !== choice.trim()) {
+        console.log(`Invalid choice! Please enter a number between 1-${FIELDS.length}.`);
+        return showMenuAndGetChoice();
+      }
+      
+      const hint = field.required ? '' : ' (leave blank to clear)';
+      rl.question(`Enter new ${field.prompt}${hint}: `, (text) => {
+        const result = parseField(field.key, text, employees, employee);
+        if (result.error) {
+          console.log(`Error: ${result.error}`);
+          return showMenuAndGetChoice();
+        }
+        
+        const previousEmployees = snapshotEmployees();
+        setField(employees, employee, field.key, result.value);
+        
+        if (!saveEmployees()) {
+          employees = previousEmployees;
+          return showMenuAndGetChoice();
+        }
+        console.log(`✓ ${field.label} of employee ${employee.name} (ID: ${employee.id}) updated successfully!`);
+        showMenuAndGetChoice();
+      });
+    });
+  });
+}
+
+// Function to import employees from a CSV or JSON file
+// Valid rows are added in one go; rejected rows are listed with the reasons
+function importEmployees() {
+  rl.question('Enter the file to import (.csv or .json): ', (text) => {
+    const file = text.trim();
+    if (!file) {
+      console.log('Error: File name cannot be empty!');
+      return showMenuAndGetChoice();
+    }
+    
+    const result = readImportFile(file);
+    if (result.error) {
+      console.log(`Error: ${result.error}`);
+      return showMenuAndGetChoice();
+    }
+    
+    const { added, rejected } = importRecords(employees, result.records);
+    if (added.length > 0) {
+      employees.push(...added);
+      if (!saveEmployees()) {
+        employees.splice(employees.length - added.length);
+        return showMenuAndGetChoice();
+      }
+    }
+    
+    console.log(`✓ Imported ${added.length} employee(s) from ${file}`);
+    if (rejected.length > 0) {
+      console.log(`✗ Rejected ${rejected.length} row(s):`);
+      rejected.forEach(({ row, id, errors }) => {
+        console.log(`  Row ${row}${id ? ` (ID ${id})` : ''}: ${errors.join('; ')}`);
+      });
+    }
     showMenuAndGetChoice();
   });
 }
 
+// Function to export the employees in a list view (every page) to a CSV or JSON file, then call done()
+function exportList(view, done) {
+  const result = queryEmployees(employees, view);
+  if (result.total === 0) {
+    console.log('No employees to export.');
+    return done();
+  }
+  
+  rl.question(`Export ${result.total} employee(s) to file (.csv or .json): `, (text) => {
+    const file = text.trim();
+    const kind = fileType(file);
+    if (!file || kind.error) {
+      console.log(`Error: ${file ? kind.error : 'File name cannot be empty!'}`);
+      return done();
+    }
+    
+    try {
+      writeExportFile(file, result.employees, kind.type);
+      console.log(`✓ Exported ${result.total} employee(s) to ${file}`);
+    } catch (err) {
+      console.log(`Error: Could not write ${file}: ${err.message}`);
+    }
+    done();
+  });
+}
+
 // Function to show menu and get user choice
 function showMenuAndGetChoice() {
   showMenu();
-  rl.question('Enter your choice (1-5): ', (choice) => {
+  rl.question('Enter your choice (1-8): ', (choice) => {
     switch (choice) {
       case '1':
         addEmployee();
@@ -147,22 +398,51 @@ function showMenuAndGetChoice() {
         searchEmployee();
         break;
       case '5':
+        updateEmployee();
+        break;
+      case '6':
+        importEmployees();
+        break;
+      case '7':
+        console.log('Exports everyone; to export part of the list, filter it in option 2 and press e.');
+        exportList({}, showMenuAndGetChoice);
+        break;
+      case '8':
         console.log('Thank you for using Employee Management System!');
         rl.close();
         break;
       default:
-        console.log('Invalid choice! Please enter a number between 1-5.');
+        console.log('Invalid choice! Please enter a number between 1-8.');
         showMenuAndGetChoice();
     }
   });
 }
 
-// Start the application
-console.log('Welcome to Employee Management System!');
-showMenuAndGetChoice();
+// Start the application: with arguments, run one subcommand and exit with its status
+// (see employee-commands.js); without, run the interactive menu
+const args = process.argv.slice(2);
 
-// Handle application exit
-rl.on('close', () => {
-  console.log('Goodbye!');
-  process.exit(0);
-});
\ No newline at end of file
+if (args.length > 0) {
+  process.exitCode = runCommand(args, store);
+} else {
+  try {
+    employees = store.load().map(record => new Employee(record));
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+  
+  rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+  
+  // Handle application exit
+  rl.on('close', () => {
+    console.log('Goodbye!');
+    process.exit(0);
+  });
+  
+  console.log('Welcome to Employee Management System!');
+  showMenuAndGetChoice();
+}
\ No newline at end of file
@@ -0,0 +1,120 @@
+// employee-model.js - The Employee record and its field rules
+//
+// Every field is entered as text; parseField turns that text into the stored value
+// or explains what is wrong with it. Only name and ID are required.
+const STATUSES = ['active', 'terminated'];
+
+// Editable fields in the order they are asked for: label for display, prompt for questions
+const FIELDS = [
+  { key: 'name', label: 'Name', prompt: 'employee name', required: true },
+  { key: 'id', label: 'ID', prompt: 'employee ID', required: true },
+  { key: 'email', label: 'Email', prompt: 'email' },
+  { key: 'department', label: 'Department', prompt: 'department' },
+  { key: 'jobTitle', label: 'Job title', prompt: 'job title' },
+  { key: 'managerId', label: 'Manager ID', prompt: 'manager ID' },
+  { key: 'hireDate', label: 'Hire date', prompt: 'hire date (YYYY-MM-DD)' },
+  { key: 'salary', label: 'Salary', prompt: 'salary' },
+  { key: 'status', label: 'Status', prompt: `status (${STATUSES.join('/')})` }
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Employee class to structure employee data
+class Employee {
+  constructor({ id, name, email = null, department = null, jobTitle = null, managerId = null, hireDate = null, salary = null, status = 'active' }) {
+    this.id = id;
+    this.name = name;
+    this.email = email;
+    this.department = department;
+    this.jobTitle = jobTitle;
+    this.managerId = managerId;
+    this.hireDate = hireDate;
+    this.salary = salary;
+    this.status = status;
+  }
+}
+
+// Helper: would making managerId the manager of employeeId create a reporting loop?
+function createsLoop(employeeId, managerId, employees) {
+  const seen = new Set();
+  let current = managerId;
+  while (current && !seen.has(current)) {
+    if (current === employeeId) return true;
+    seen.add(current);
+    const manager = employees.find(emp => emp.id === current);
+    current = manager ? manager.managerId : null;
+  }
+  return false;
+}
+
+// Parse one field's text for an employee (self, null when adding a new one)
+// Returns { error } or { value }; blank text clears an optional field.
+function parseField(key, text, employees, self = null) {
+  const field = FIELDS.find(f => f.key === key);
+  const value = String(text === undefined || text === null ? '' : text).trim();
+
+  if (!value) {
+    if (field.required) return { error: `${field.prompt[0].toUpperCase()}${field.prompt.slice(1)} cannot be empty!` };
+    return { value: key === 'status' ? 'active' : null };
+  }
+
+  if (key === 'id' && employees.some(emp => emp.id === value && emp !== self)) {
+    return { error: `Employee with ID ${value} already exists!` };
+  }
+  if (key === 'email' && !EMAIL_PATTERN.test(value)) {
+    return { error: `"${value}" is not a valid email address` };
+  }
+  if (key === 'managerId') {
+    if (!employees.some(emp => emp.id === value)) {
+      return { error: `No employee found with ID ${value} to be the manager` };
+    }
+    if (self && (value === self.id || createsLoop(self.id, value, employees))) {
+      return { error: `${value} cannot be ${self.name}'s manager: they would end up managing themselves` };
+    }
+  }
+  if (key === 'hireDate') {
+    const date = new Date(`${value}T00:00:00Z`);
+    if (!DATE_PATTERN.test(value) || isNaN(date) || date.toISOString().slice(0, 10) !== value) {
+      return { error: 'Hire date must be a real date in YYYY-MM-DD form' };
+    }
+  }
+  if (key === 'salary') {
+    const salary = Number(value);
+    if (!Number.isFinite(salary) || salary < 0) {
+      return { error: 'Salary must be a non-negative number' };
+    }
+    return { value: salary };
+  }
+  if (key === 'status') {
+    const status = value.toLowerCase();
+    if (!STATUSES.includes(status)) {
+      return { error: `Status must be one of ${STATUSES.join(', ')}` };
+    }
+    return { value: status };
+  }
+
+  return { value };
+}
+
+// Remove an employee by ID; anyone who reported to them is left without a manager
+// Returns { employees (everyone else), removed, reports } or null when no one has that ID
+function removeEmployee(employees, id) {
+  const removed = employees.find(emp => emp.id === id);
+  if (!removed) return null;
+
+  const rest = employees.filter(emp => emp !== removed);
+  const reports = rest.filter(emp => emp.managerId === id);
+  reports.forEach(emp => { emp.managerId = null; });
+  return { employees: rest, removed, reports };
+}
+
+// Set one field to a value parseField accepted; a new ID takes the employee's reports along
+function setField(employees, employee, key, value) {
+  if (key === 'id') {
+    employees.filter(emp => emp.managerId === employee.id).forEach(emp => { emp.managerId = value; });
+  }
+  employee[key] = value;
+}
+
+module.exports = { Employee, FIELDS, STATUSES, parseField, removeEmployee, setField };
@@ -0,0 +1,93 @@
+// employee-query.js - Filter, sort and page through the employee list
+//
+// queryEmployees(employees, options) -> { error } or { employees, total, page, pages }
+// A page past the last one comes back as { error, pastEnd: true } - the options were fine,
+// there just are not that many matches.
+// options (all optional):
+//   name        case-insensitive part of a name
+//   department  case-insensitive department
+//   role        case-insensitive job title
+//   status      active | terminated
+//   sortBy      any field key (see employee-model.js); insertion order when left out
+//   order       asc (default) | desc - employees missing the field always come last
+//   page        page number from 1, with pageSize employees per page
+const { FIELDS, STATUSES } = require('./employee-model');
+
+const ORDERS = ['asc', 'desc'];
+
+// Helper: case-insensitive equality for optional text fields
+function sameText(value, wanted) {
+  return typeof value === 'string' && value.toLowerCase() === String(wanted).toLowerCase();
+}
+
+// Helper: keep the employees that match every given filter
+function filterEmployees(employees, { name, department, role, status }) {
+  const namePart = name ? String(name).toLowerCase() : null;
+  return employees.filter(emp =>
+    (!namePart || emp.name.toLowerCase().includes(namePart)) &&
+    (!department || sameText(emp.department, department)) &&
+    (!role || sameText(emp.jobTitle, role)) &&
+    (!status || sameText(emp.status, status))
+  );
+}
+
+// Helper: compare two field values - numbers by size, text naturally ("E2" before "E10")
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+// Helper: sorted copy of the list; blank values go last whichever the order
+function sortEmployees(employees, key, order) {
+  const direction = order === 'desc' ? -1 : 1;
+  const blank = value => value === null || value === undefined || value === '';
+  return [...employees].sort((a, b) => {
+    if (blank(a[key]) || blank(b[key])) return blank(a[key]) - blank(b[key]);
+    return direction * compareValues(a[key], b[key]);
+  });
+}
+
+// Helper: find a sortable field by key, ignoring case ("hiredate" works too)
+function findField(key) {
+  return FIELDS.find(field => field.key.toLowerCase() === String(key).toLowerCase()) || null;
+}
+
+function queryEmployees(employees, options = {}) {
+  const { sortBy, order = 'asc', page = 1, pageSize } = options;
+
+  if (options.status && !STATUSES.includes(String(options.status).toLowerCase())) {
+    return { error: `Status must be one of ${STATUSES.join(', ')}` };
+  }
+  const field = sortBy ? findField(sortBy) : null;
+  if (sortBy && !field) {
+    return { error: `Cannot sort by "${sortBy}". Use one of ${FIELDS.map(f => f.key).join(', ')}` };
+  }
+  if (!ORDERS.includes(String(order).toLowerCase())) {
+    return { error: `Order must be one of ${ORDERS.join(', ')}` };
+  }
+  if (!Number.isInteger(Number(page)) || Number(page) < 1 ||
+      (pageSize !== undefined && (!Number.isInteger(Number(pageSize)) || Number(pageSize) < 1))) {
+    return { error: 'Page and page size must be positive whole numbers' };
+  }
+
+  let matches = filterEmployees(employees, options);
+  if (field) {
+    matches = sortEmployees(matches, field.key, String(order).toLowerCase());
+  }
+
+  const size = pageSize === undefined ? Math.max(matches.length, 1) : Number(pageSize);
+  const pages = Math.max(1, Math.ceil(matches.length / size));
+  const current = Number(page);
+  if (current > pages) {
+    return { error: `Page ${current} is past the last page (${pages})`, pastEnd: true };
+  }
+
+  return {
+    employees: matches.slice((current - 1) * size, current * size),
+    total: matches.length,
+    page: current,
+    pages
+  };
+}
+
+module.exports = { queryEmployees, ORDERS };
@@ -0,0 +1,138 @@
+// employee-store.js - JSON data file for the employee management CLI
+//
+// The file holds a JSON array of employee records. load() reads it (a missing file
+// is an empty list) and refuses a file it cannot make sense of rather than starting
+// over with nobody in it; save(employees) replaces it atomically. lock() and unlock()
+// hold "<file>.lock" (created exclusively, holding the owner's pid) around a load and
+// save, so commands running side by side never save over each other's changes.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const sleepCell = new Int32Array(new SharedArrayBuffer(4));
+
+// Helper: is the process with this pid still running?
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+class EmployeeStore {
+  constructor(file, { lockTimeout = 2000 } = {}) {
+    this.file = file;
+    this.lockFile = `${file}.lock`;
+    this.lockTimeout = lockTimeout;
+  }
+
+  // Take the lock file, waiting while another process holds it; throws if it stays taken
+  lock() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const deadline = Date.now() + this.lockTimeout;
+
+    for (;;) {
+      try {
+        fs.writeFileSync(this.lockFile, String(process.pid), { flag: 'wx' });
+        return;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+
+      this.breakAbandoned();
+      if (Date.now() > deadline) {
+        throw new Error(`Employee data file ${this.file} is in use by another command. Try again, or remove ${this.lockFile} if none is running`);
+      }
+      Atomics.wait(sleepCell, 0, 0, 5 + Math.floor(Math.random() * 20));
+    }
+  }
+
+  unlock() {
+    fs.rmSync(this.lockFile, { force: true });
+  }
+
+  // Helper: remove a lock file whose owner died without unlocking
+  breakAbandoned() {
+    let owner;
+    try {
+      owner = fs.readFileSync(this.lockFile, 'utf8');
+    } catch (err) {
+      return; // released meanwhile
+    }
+
+    const pid = parseInt(owner);
+    if (!pid || processAlive(pid)) return; // still being written, or its owner is alive
+
+    try {
+      if (fs.readFileSync(this.lockFile, 'utf8') === owner) fs.unlinkSync(this.lockFile);
+    } catch (err) {
+      // someone else broke it first
+    }
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return [];
+    }
+
+    const fail = (reason) => {
+      throw new Error(`Employee data file ${this.file} is corrupt: ${reason}. Fix or move it, then try again`);
+    };
+
+    let records;
+    try {
+      records = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (err) {
+      fail(err.message);
+    }
+
+    if (!Array.isArray(records)) {
+      fail('expected a list of employees');
+    }
+
+    const ids = new Set();
+    records.forEach((record, index) => {
+      if (!record || typeof record.id !== 'string' || !record.id.trim() ||
+          typeof record.name !== 'string' || !record.name.trim()) {
+        fail(`record ${index + 1} needs a non-empty name and id`);
+      }
+      if (ids.has(record.id)) {
+        fail(`employee ID ${record.id} appears more than once`);
+      }
+      ids.add(record.id);
+    });
+
+    return records;
+  }
+
+  save(employees) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+    // Write a sibling file and rename over the data file so a crash never leaves half a file.
+    // The name is unique to this save, so saves running side by side never share one.
+    const tempFile = `${this.file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const fd = fs.openSync(tempFile, 'wx');
+    try {
+      try {
+        fs.writeSync(fd, JSON.stringify(employees, null, 2) + '\n');
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(tempFile, this.file);
+    } catch (err) {
+      fs.rmSync(tempFile, { force: true });
+      throw err;
+    }
+  }
+}
+
+// Data file from the environment:
+//   EMPLOYEE_DATA_FILE=path to the data file (default data/employees.json)
+function createEmployeeStore(env = process.env) {
+  return new EmployeeStore(env.EMPLOYEE_DATA_FILE || path.join(__dirname, 'data', 'employees.json'));
+}
+
+module.exports = { createEmployeeStore, EmployeeStore };
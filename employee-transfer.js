@@ -0,0 +1,260 @@
+// employee-transfer.js - Bulk import and export of employee records as CSV or JSON
+//
+// A CSV file needs a header row naming its columns - field keys or labels, any case
+// ("jobTitle", "Job title" and "job_title" all work); name and id are required.
+// A JSON file is an array of objects keyed by field (see employee-model.js).
+//
+// importRecords checks every row with the same rules as adding one by hand. Valid
+// rows are added and the rest come back with the row number and every reason they
+// were turned down - including an ID that already exists or appears twice in the file.
+// A manager may be anyone already on file or any accepted row in the same file.
+//
+// Spreadsheets run a cell starting with = + - or @ as a formula, so CSV export puts a '
+// in front of such values ("=SUM(A1)" goes out as "'=SUM(A1)"). CSV import keeps every
+// value as it is: it cannot tell that ' from one that belongs to the value, so a CSV
+// export imported again keeps the ' - use a JSON export to move data between files.
+const fs = require('fs');
+const path = require('path');
+const { Employee, FIELDS, parseField } = require('./employee-model');
+
+const TYPES = ['csv', 'json'];
+
+// A value a spreadsheet would read as a formula
+const FORMULA_START = /^[=+\-@]/;
+
+// Helper: column name -> comparable form ("Job title" -> "jobtitle")
+function normalizeColumn(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Helper: the field a column or JSON key stands for, or null
+function fieldFor(name) {
+  const wanted = normalizeColumn(name);
+  return FIELDS.find(field => normalizeColumn(field.key) === wanted || normalizeColumn(field.label) === wanted) || null;
+}
+
+// File type from an explicit type or the file's extension, returns { error } or { type }
+function fileType(file, type) {
+  const chosen = (type || path.extname(file || '').slice(1)).toLowerCase();
+  if (!TYPES.includes(chosen)) {
+    return { error: `Cannot tell the file type of "${file}". Use a .csv or .json file or give the type (${TYPES.join(', ')})` };
+  }
+  return { type: chosen };
+}
+
+// Parse CSV text into rows of cells (RFC 4180: quoted cells may hold commas, quotes and newlines)
+// Returns { error } or { rows }
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; // skip a byte order mark
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    return { error: 'a quoted value is never closed' };
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return { rows };
+}
+
+// Helper: one CSV cell, quoted when it has to be and never run as a formula
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Employees as CSV text with a header row of field keys
+function toCsv(employees) {
+  const lines = [FIELDS.map(field => field.key).join(',')];
+  employees.forEach(employee => {
+    lines.push(FIELDS.map(field => csvCell(employee[field.key])).join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+// Employees as text of the given type (csv | json)
+function exportEmployees(employees, type) {
+  return type === 'csv' ? toCsv(employees) : JSON.stringify(employees, null, 2) + '\n';
+}
+
+// Write employees to a file of the given type; throws if the file cannot be written
+function writeExportFile(file, employees, type) {
+  fs.writeFileSync(file, exportEmployees(employees, type));
+}
+
+// Helper: CSV text -> { error } or { records: [{ row, values }] }, row being the spreadsheet row number
+function csvRecords(text) {
+  const parsed = parseCsv(text);
+  if (parsed.error) return { error: parsed.error };
+
+  const rows = parsed.rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  if (rows.length === 0) return { error: 'the file is empty' };
+
+  const [header, ...data] = rows;
+  const fields = header.map(fieldFor);
+  const unknown = header.filter((name, i) => !fields[i]);
+  if (unknown.length > 0) {
+    return { error: `unknown column(s) ${unknown.map(name => `"${name}"`).join(', ')}` };
+  }
+  const missing = ['name', 'id'].filter(key => !fields.some(field => field.key === key));
+  if (missing.length > 0) {
+    return { error: `a ${missing.join(' and ')} column is required` };
+  }
+
+  return {
+    records: data.map((cells, index) => {
+      const values = {};
+      fields.forEach((field, i) => {
+        values[field.key] = cells[i];
+      });
+      return { row: index + 2, values, extra: cells.length > fields.length };
+    })
+  };
+}
+
+// Helper: JSON text -> { error } or { records: [{ row, values }] }, row counting from 1
+function jsonRecords(text) {
+  let list;
+  try {
+    list = JSON.parse(text);
+  } catch (err) {
+    return { error: err.message };
+  }
+  if (!Array.isArray(list)) return { error: 'expected a list of employees' };
+
+  return {
+    records: list.map((item, index) => {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        return { row: index + 1, values: {}, invalid: true };
+      }
+      const values = {};
+      const unknown = [];
+      Object.entries(item).forEach(([key, value]) => {
+        const field = fieldFor(key);
+        if (field) values[field.key] = value;
+        else unknown.push(key);
+      });
+      return { row: index + 1, values, unknown };
+    })
+  };
+}
+
+// Read an import file, returns { error } or { records: [{ row, values }] }
+function readImportFile(file, type) {
+  const kind = fileType(file, type);
+  if (kind.error) return kind;
+
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    return { error: `Could not read ${file}: ${err.message}` };
+  }
+
+  const result = kind.type === 'csv' ? csvRecords(text) : jsonRecords(text);
+  return result.error ? { error: `Could not import ${file}: ${result.error}` } : result;
+}
+
+// Check imported records against the current employees
+// Returns { added: [Employee], rejected: [{ row, id, errors }] } - nothing is changed
+function importRecords(employees, records) {
+  const candidates = [];
+  const rejected = [];
+  const claimed = new Map(); // ID -> row of the accepted row that has it
+
+  // First pass: every field but the manager, who may be on a later row
+  records.forEach(record => {
+    if (record.invalid) {
+      rejected.push({ row: record.row, id: null, errors: ['Each entry must be an object of employee fields'] });
+      return;
+    }
+
+    const errors = [];
+    if (record.extra) errors.push('Row has more values than the header has columns');
+    if (record.unknown && record.unknown.length > 0) {
+      errors.push(`Unknown field(s) ${record.unknown.join(', ')}`);
+    }
+
+    const values = {};
+    FIELDS.filter(field => field.key !== 'managerId').forEach(field => {
+      const result = parseField(field.key, record.values[field.key], employees);
+      if (result.error) errors.push(result.error);
+      else values[field.key] = result.value;
+    });
+
+    if (values.id && claimed.has(values.id)) {
+      errors.push(`Employee with ID ${values.id} is already on row ${claimed.get(values.id)} of the file`);
+    }
+    const id = values.id || String(record.values.id || '').trim() || null;
+
+    if (errors.length > 0) {
+      rejected.push({ row: record.row, id, errors });
+      return;
+    }
+    claimed.set(values.id, record.row);
+    const managerText = record.values.managerId;
+    values.managerId = managerText === undefined || managerText === null ? null : String(managerText).trim() || null;
+    candidates.push({ row: record.row, employee: new Employee(values) });
+  });
+
+  // Second pass: managers must exist once the file is in, without anyone managing themselves.
+  // Turning a row down can strand the rows it managed, so repeat until nothing changes.
+  let changed = true;
+  while (changed) {
+    changed = false;
+    const everyone = [...employees, ...candidates.map(c => c.employee)];
+    for (const candidate of candidates) {
+      const { employee } = candidate;
+      if (!employee.managerId) continue;
+
+      const result = parseField('managerId', employee.managerId, everyone, employee);
+      if (result.error) {
+        const managerRow = rejected.find(r => r.id === employee.managerId && !employees.some(emp => emp.id === r.id));
+        const error = managerRow
+          ? `Manager ${employee.managerId} is on row ${managerRow.row} of the file, which was rejected`
+          : result.error;
+        rejected.push({ row: candidate.row, id: employee.id, errors: [error] });
+        candidates.splice(candidates.indexOf(candidate), 1);
+        changed = true;
+        break;
+      }
+    }
+  }
+
+  rejected.sort((a, b) => a.row - b.row);
+  return { added: candidates.map(c => c.employee), rejected };
+}
+
+module.exports = { TYPES, fileType, parseCsv, toCsv, exportEmployees, writeExportFile, readImportFile, importRecords };
@@ -0,0 +1,136 @@
+// expiry-scheduler.js - Deadlines kept in a min-heap and driven by a single timer
+//
+// schedule(key, at) sets (or moves) the deadline for a key; cancel(key) drops it.
+// When a deadline passes the scheduler emits 'due' with the key. Moving or
+// cancelling a key does not search the heap: the old entry stays behind and is
+// skipped when it reaches the top, so every operation is O(log n).
+const EventEmitter = require('events');
+
+const MAX_TIMER_DELAY = 2 ** 31 - 1; // setTimeout's limit (~24.8 days)
+
+// Binary min-heap of { at, key } ordered by at
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].at <= items[i].at) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].at < items[smallest].at) smallest = left;
+        if (right < items.length && items[right].at < items[smallest].at) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+class ExpiryScheduler extends EventEmitter {
+  constructor() {
+    super();
+    this.heap = new MinHeap();
+    this.deadlines = new Map(); // key -> current deadline; heap entries that disagree are stale
+    this.timer = null;
+    this.timerAt = null;
+  }
+
+  schedule(key, at) {
+    if (this.deadlines.get(key) === at) return;
+    this.deadlines.set(key, at);
+    this.heap.push({ at, key });
+    this.arm();
+  }
+
+  cancel(key) {
+    this.deadlines.delete(key);
+  }
+
+  // Number of live deadlines
+  get size() {
+    return this.deadlines.size;
+  }
+
+  // Helper: make sure the one timer fires for the earliest live deadline
+  arm() {
+    this.dropStale();
+    const next = this.heap.peek();
+
+    if (!next) {
+      this.stop();
+      return;
+    }
+    if (this.timer && this.timerAt <= next.at) return;
+
+    this.stop();
+    this.timerAt = next.at;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.timerAt = null;
+      this.fire();
+    }, Math.min(Math.max(next.at - Date.now(), 0), MAX_TIMER_DELAY));
+    this.timer.unref(); // pending deadlines alone should not keep the process alive
+  }
+
+  // Helper: pop every deadline that has passed and emit 'due' for each
+  fire(now = Date.now()) {
+    for (;;) {
+      this.dropStale();
+      const next = this.heap.peek();
+      if (!next || next.at > now) break;
+      this.heap.pop();
+      this.deadlines.delete(next.key);
+      this.emit('due', next.key);
+    }
+    this.arm();
+  }
+
+  // Helper: discard heap entries for cancelled or moved deadlines
+  dropStale() {
+    while (this.heap.size > 0) {
+      const top = this.heap.peek();
+      if (this.deadlines.get(top.key) === top.at) return;
+      this.heap.pop();
+    }
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.timerAt = null;
+    }
+  }
+}
+
+module.exports = { ExpiryScheduler, MinHeap };
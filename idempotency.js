@@ -0,0 +1,101 @@
+// idempotency.js - Safe retries for mutating routes via the Idempotency-Key header
+//
+// The first request with a given key runs normally and its response is stored.
+// A retry with the same key (same user, same request) gets that stored response
+// back, marked with "Idempotency-Replayed: true", instead of running again.
+// Keys are kept for IDEMPOTENCY_TTL ms (default 24 hours). Every mutating route takes it
+// except registration and login, which run before there is a user to key on.
+const crypto = require('crypto');
+
+const KEY_TTL = parseInt(process.env.IDEMPOTENCY_TTL) || 24 * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+// Helper: fingerprint of what was asked, so a key cannot be reused for a different request
+function fingerprint(req) {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.originalUrl} ${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+}
+
+// deps: storage (see seat-storage.js)
+function createIdempotency(storage) {
+  // "userId:key" -> { id, userId, key, fingerprint, state: in-progress | done, status, body, createdAt }
+  const records = new Map();
+
+  // Load records saved by a previous run
+  function restore(savedRecords = []) {
+    savedRecords.forEach(record => records.set(record.id, record));
+  }
+
+  // Completed records that have not expired yet - what compaction keeps
+  function liveRecords(now = Date.now()) {
+    return [...records.values()].filter(record => record.state === 'done' && now - record.createdAt <= KEY_TTL);
+  }
+
+  // Middleware (after requireAuth): replay or record the response for an Idempotency-Key
+  function idempotent(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) return next();
+
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`
+      });
+    }
+
+    const id = `${req.user.id}:${key}`;
+    const existing = records.get(id);
+
+    if (existing && Date.now() - existing.createdAt > KEY_TTL) {
+      records.delete(id);
+    } else if (existing) {
+      if (existing.fingerprint !== fingerprint(req)) {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency-Key was already used for a different request'
+        });
+      }
+      if (existing.state === 'in-progress') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still in progress'
+        });
+      }
+      res.set('Idempotency-Replayed', 'true');
+      return res.status(existing.status).json(existing.body);
+    }
+
+    const record = {
+      id,
+      userId: req.user.id,
+      key,
+      fingerprint: fingerprint(req),
+      state: 'in-progress',
+      status: null,
+      body: null,
+      createdAt: Date.now()
+    };
+    records.set(id, record);
+
+    // Store whatever the route answers; if it never answers with JSON (it crashed),
+    // forget the key so the client's retry runs for real
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      record.state = 'done';
+      record.status = res.statusCode;
+      record.body = body;
+      storage.save('idempotency-key', record);
+      return json(body);
+    };
+    res.on('close', () => {
+      if (record.state === 'in-progress') records.delete(id);
+    });
+
+    next();
+  }
+
+  return { idempotent, restore, liveRecords };
+}
+
+module.exports = { createIdempotency };
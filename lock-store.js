@@ -0,0 +1,200 @@
+// lock-store.js - Shared seat state with compare-and-set
+//
+// A lock store keeps versioned records and implements:
+//   get(key)                -> { version, value }, or null (reads as version 0)
+//   compareAndSet(changes)  -> writes [{ key, version, value }] only if every key is still
+//                              at the version given, all or none; returns true, or false
+//                              on a conflict. A written record's version goes up by one.
+//   shared                  -> true when other processes can see the records
+//
+// Two servers trying to lock the same seat both read the same version, so only one
+// compare-and-set can win; the other re-reads the seat and finds it taken.
+//
+// Two stores ship here: MemoryLockStore (one process) and FileLockStore (one JSON file
+// per key in a directory that several processes on this machine can share).
+const fs = require('fs');
+const path = require('path');
+
+const sleepCell = new Int32Array(new SharedArrayBuffer(4));
+
+// Helper: block for ms - the store is synchronous, like the journal
+function sleep(ms) {
+  Atomics.wait(sleepCell, 0, 0, ms);
+}
+
+// Helper: is the process with this pid still running?
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+// Helper: the version a change expects against the record it would replace
+function versionOf(record) {
+  return record ? record.version : 0;
+}
+
+// Records in this process's memory - enough for a single server
+class MemoryLockStore {
+  constructor() {
+    this.records = new Map();
+    this.shared = false;
+  }
+
+  get(key) {
+    return this.records.get(key) || null;
+  }
+
+  compareAndSet(changes) {
+    if (changes.some(change => versionOf(this.get(change.key)) !== change.version)) {
+      return false;
+    }
+    changes.forEach(change => {
+      this.records.set(change.key, { version: change.version + 1, value: { ...change.value } });
+    });
+    return true;
+  }
+}
+
+// One file per key. A compare-and-set takes each key's "<file>.lock" (created
+// exclusively, holding the owner's pid) in key order, so two writers never deadlock,
+// then checks versions and renames new files into place.
+class FileLockStore {
+  constructor(dir, { lockTimeout = 2000 } = {}) {
+    this.dir = dir;
+    this.lockTimeout = lockTimeout;
+    this.shared = true;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  file(key) {
+    return path.join(this.dir, `${encodeURIComponent(key)}.json`);
+  }
+
+  get(key) {
+    try {
+      return JSON.parse(fs.readFileSync(this.file(key), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw new Error(`Lock store record ${this.file(key)} is unreadable: ${err.message}`);
+    }
+  }
+
+  compareAndSet(changes) {
+    const keys = [...new Set(changes.map(change => change.key))].sort();
+    const held = [];
+
+    try {
+      keys.forEach(key => {
+        this.acquire(key);
+        held.push(key);
+      });
+
+      if (changes.some(change => versionOf(this.get(change.key)) !== change.version)) {
+        return false;
+      }
+      changes.forEach(change => this.write(change.key, { version: change.version + 1, value: change.value }));
+      return true;
+    } finally {
+      held.forEach(key => this.unlock(key));
+    }
+  }
+
+  // Helper: take a key's lock file, waiting while another process holds it
+  acquire(key) {
+    const lockFile = `${this.file(key)}.lock`;
+    const deadline = Date.now() + this.lockTimeout;
+
+    for (;;) {
+      try {
+        fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' });
+        return;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+
+      this.breakAbandoned(lockFile);
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for lock store key "${key}"`);
+      }
+      sleep(1 + Math.floor(Math.random() * 5));
+    }
+  }
+
+  // Helper: remove a lock file whose owner died mid-write
+  breakAbandoned(lockFile) {
+    let owner;
+    try {
+      owner = fs.readFileSync(lockFile, 'utf8');
+    } catch (err) {
+      return; // released meanwhile
+    }
+
+    const pid = parseInt(owner);
+    if (!pid || processAlive(pid)) return; // still being written, or its owner is alive
+
+    try {
+      if (fs.readFileSync(lockFile, 'utf8') === owner) fs.unlinkSync(lockFile);
+    } catch (err) {
+      // someone else broke it first
+    }
+  }
+
+  unlock(key) {
+    try {
+      fs.unlinkSync(`${this.file(key)}.lock`);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+
+  // Helper: replace a record by renaming a finished file over it, so readers never see half a record
+  write(key, record) {
+    const file = this.file(key);
+    const tempFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(record));
+    fs.renameSync(tempFile, file);
+  }
+}
+
+// Claim keys for their owners, all or none: [{ key, owner }] -> null once every key is
+// its owner's, or { key, owner } for a key someone else already holds (nothing is claimed then)
+function claimKeys(store, claims) {
+  for (;;) {
+    const records = claims.map(claim => store.get(claim.key));
+    const taken = claims.findIndex((claim, i) => records[i] && records[i].value.owner !== claim.owner);
+    if (taken !== -1) {
+      return { key: claims[taken].key, owner: records[taken].value.owner };
+    }
+
+    const unclaimed = claims.filter((claim, i) => !records[i]);
+    if (unclaimed.length === 0 ||
+        store.compareAndSet(unclaimed.map(claim => ({ key: claim.key, version: 0, value: { owner: claim.owner } })))) {
+      return null;
+    }
+  }
+}
+
+// Pick a store from the environment:
+//   SEAT_LOCK_STORE=memory (default) | file
+//   SEAT_LOCK_DIR=directory for the file store (default data/locks)
+// Every server instance that should share seats must point at the same directory, and
+// each needs its own SEAT_INSTANCE_ID and SEAT_JOURNAL_FILE (server.js checks at startup).
+function createLockStore(env = process.env) {
+  const type = env.SEAT_LOCK_STORE || 'memory';
+
+  if (type === 'memory') {
+    return new MemoryLockStore();
+  }
+
+  if (type === 'file') {
+    return new FileLockStore(env.SEAT_LOCK_DIR || path.join(__dirname, 'data', 'locks'));
+  }
+
+  throw new Error(`Unknown SEAT_LOCK_STORE "${type}". Use "memory" or "file"`);
+}
+
+module.exports = { createLockStore, claimKeys, MemoryLockStore, FileLockStore };
@@ -0,0 +1,338 @@
+// orders.js - Checkout: pay for locked seats before they are booked
+//
+// An order covers either one hold or a list of seats the user has locked. Paying
+// asks the payment provider (see payments.js) to authorize the order amount; the
+// seats are booked only when it does. A declined, failed or timed-out payment
+// releases the seats so someone else can buy them. Cancelling a booking refunds
+// its price through the same provider (refundBooking), recorded on the order.
+const express = require('express');
+const { authorizeWithTimeout, refundWithTimeout } = require('./payments');
+const { CONFLICT_ERROR } = require('./seat-service');
+
+// Order statuses: pending -> authorizing -> paid | failed, then paid -> partially-refunded -> refunded
+// Refund statuses: pending -> refunded | failed | timeout | error, or interrupted by a restart
+const PAYMENT_ERRORS = {
+  declined: { status: 402, code: 'payment-declined', message: 'Payment was declined. The seats have been released' },
+  timeout: { status: 504, code: 'payment-timeout', message: 'Payment provider did not respond in time. The seats have been released' },
+  error: { status: 502, code: 'payment-error', message: 'Payment could not be processed. The seats have been released' }
+};
+
+// deps: { storage, seatService (see seat-service.js), settings (paymentTimeout), provider, requireAuth, idempotent }
+function createOrders({ storage, seatService, settings, provider, requireAuth, idempotent }) {
+  const orders = [];
+  let nextOrderId = 1;
+
+  // Load orders saved by a previous run. A payment cut off by a restart never
+  // completed, so that order failed; its seat locks run out as usual. A refund cut
+  // off the same way may or may not have reached the provider, so it is marked for checking.
+  function restore(savedOrders = []) {
+    orders.push(...savedOrders);
+    nextOrderId = Math.max(0, ...orders.map(o => o.id)) + 1;
+    orders.filter(o => o.status === 'authorizing').forEach(order => {
+      order.failureReason = 'interrupted';
+      setStatus(order, 'failed');
+    });
+    orders.forEach(order => {
+      order.refunds = order.refunds || [];
+      order.refundedAmount = order.refundedAmount || 0;
+      const interrupted = order.refunds.filter(refund => refund.status === 'pending');
+      if (interrupted.length === 0) return;
+      interrupted.forEach(refund => { refund.status = 'interrupted'; });
+      setStatus(order, order.status);
+    });
+  }
+
+  // Helper: persist an order after every status change
+  function setStatus(order, status) {
+    order.status = status;
+    order.updatedAt = Date.now();
+    storage.save('order', order);
+  }
+
+  function findHold(order) {
+    return order.holdId ? seatService.holds.find(h => h.id === order.holdId) : null;
+  }
+
+  // Helper: are the order's seats still locked for it? Returns { error } or { seats }
+  function checkSeats(order) {
+    const hold = findHold(order);
+    if (hold) {
+      if (hold.status !== 'active') {
+        return { error: { status: 400, code: 'not-locked', message: `Hold is ${hold.status}` } };
+      }
+      return seatService.checkHoldConfirmable(hold);
+    }
+
+    const event = seatService.findEvent(order.eventId);
+    const seats = [];
+    for (const seatId of order.seatIds) {
+      const result = seatService.checkConfirmable(event, seatId, order.userId);
+      if (result.error) return result;
+      seats.push(result.seat);
+    }
+    return { seats };
+  }
+
+  // Helper: give back whatever the order still has locked
+  function releaseSeats(order) {
+    const event = seatService.findEvent(order.eventId);
+    order.seatIds
+      .map(id => seatService.findSeat(event, id))
+      .filter(seat => seat && seatService.ownsLock(seat, order.userId, order.holdId))
+      .forEach(seat => seatService.releaseSeat(seat, order.userId, 'payment-failed'));
+
+    const hold = findHold(order);
+    if (hold && hold.status === 'active') {
+      seatService.setHoldStatus(hold, 'released');
+    }
+  }
+
+  // Open an order for a hold ({ hold }) or for individually locked seats ({ seatIds })
+  // Returns { error } or { order }
+  function createOrder(event, userId, { hold = null, seatIds = [] }) {
+    const order = {
+      id: nextOrderId,
+      eventId: event.id,
+      userId,
+      holdId: hold ? hold.id : null,
+      seatIds: hold ? [...hold.seatIds] : seatIds,
+      amount: 0,
+      status: 'pending',
+      payment: null,
+      failureReason: null,
+      bookingIds: [],
+      refunds: [],
+      refundedAmount: 0,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+
+    const result = checkSeats(order);
+    if (result.error) return result;
+
+    order.amount = result.seats.reduce((sum, seat) => sum + seat.price, 0);
+    nextOrderId++;
+    orders.push(order);
+    storage.save('order', order);
+    return { order };
+  }
+
+  // Authorize payment for a pending order and book its seats
+  // Resolves to { error, order } or { order, seats, bookings }
+  async function pay(order, paymentToken) {
+    if (order.status !== 'pending') {
+      return { error: { status: 400, code: 'order-closed', message: `Order is ${order.status}` }, order };
+    }
+
+    // The locks may have lapsed since the order was opened
+    const before = checkSeats(order);
+    if (before.error) {
+      order.failureReason = before.error.code;
+      setStatus(order, 'failed');
+      return { error: before.error, order };
+    }
+
+    setStatus(order, 'authorizing');
+    const result = await authorizeWithTimeout(
+      provider,
+      { reference: `order-${order.id}`, amount: order.amount, paymentToken },
+      settings.paymentTimeout
+    );
+    order.payment = {
+      provider: provider.name,
+      status: result.status,
+      authorizationId: result.authorizationId || null,
+      reason: result.reason || null
+    };
+
+    if (result.status !== 'authorized') {
+      releaseSeats(order);
+      order.failureReason = `payment-${result.status}`;
+      setStatus(order, 'failed');
+      return { error: PAYMENT_ERRORS[result.status] || PAYMENT_ERRORS.error, order };
+    }
+
+    // A lock can run out (or another server can take the seats) while the provider is
+    // thinking; then nobody gets charged
+    const after = checkSeats(order);
+    const bookings = after.error ? null : seatService.bookSeats(after.seats, order.userId, order.id);
+    if (!bookings) {
+      const error = after.error || checkSeats(order).error || CONFLICT_ERROR;
+      await provider.void(order.payment.authorizationId);
+      order.payment.status = 'voided';
+      releaseSeats(order);
+      order.failureReason = error.code;
+      setStatus(order, 'failed');
+      return { error, order };
+    }
+
+    const hold = findHold(order);
+    if (hold) {
+      seatService.setHoldStatus(hold, 'confirmed');
+    }
+    order.bookingIds = bookings.map(b => b.id);
+    setStatus(order, 'paid');
+    return { order, seats: after.seats, bookings };
+  }
+
+  // Refund a cancelled booking's refundAmount to the payment of the order that bought it
+  // (see cancelBooking in seat-service.js). Resolves to the refund recorded on the order,
+  // or null when the booking was not paid through an order here.
+  async function refundBooking(booking) {
+    const order = orders.find(o => o.id === booking.orderId);
+    if (!order || !order.payment || !order.payment.authorizationId || !booking.refundAmount) {
+      return null;
+    }
+
+    // Recorded before asking the provider, so a restart mid-refund leaves a trace
+    const refund = { bookingId: booking.id, amount: booking.refundAmount, status: 'pending', refundId: null, reason: null, at: Date.now() };
+    order.refunds.push(refund);
+    setStatus(order, order.status);
+
+    const result = await refundWithTimeout(
+      provider,
+      { authorizationId: order.payment.authorizationId, amount: refund.amount, reference: `booking-${booking.id}` },
+      settings.paymentTimeout
+    );
+    refund.status = result.status;
+    refund.refundId = result.refundId || null;
+    refund.reason = result.reason || null;
+
+    if (refund.status === 'refunded') {
+      order.refundedAmount += refund.amount;
+    }
+    if (order.refundedAmount >= order.amount) {
+      setStatus(order, 'refunded');
+    } else if (order.refundedAmount > 0) {
+      setStatus(order, 'partially-refunded');
+    } else {
+      setStatus(order, order.status);
+    }
+    return refund;
+  }
+
+  // Open an order and pay it in one step - what the confirm routes do
+  async function checkout(event, userId, selection, paymentToken) {
+    const opened = createOrder(event, userId, selection);
+    if (opened.error) return opened;
+    return pay(opened.order, paymentToken);
+  }
+
+  const router = express.Router();
+
+  // Middleware: resolve :orderId; only its owner may see or pay it
+  function findOrder(req, res, next) {
+    const order = orders.find(o => o.id === parseInt(req.params.orderId));
+
+    if (!order || order.userId !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    req.order = order;
+    next();
+  }
+
+  // POST /api/events/:eventId/orders - Open an order for { holdId } or { seatIds } the user has locked
+  router.post('/events/:eventId/orders', requireAuth, idempotent, (req, res) => {
+    const event = seatService.findEvent(parseInt(req.params.eventId));
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const { holdId, seatIds } = req.body;
+
+    if ((holdId === undefined) === (seatIds === undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Give either holdId or seatIds'
+      });
+    }
+
+    let selection;
+    if (holdId !== undefined) {
+      const hold = seatService.holds.find(h => h.id === parseInt(holdId) && h.eventId === event.id);
+      if (!hold || hold.userId !== req.user.id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Hold not found'
+        });
+      }
+      selection = { hold };
+    } else {
+      const ids = Array.isArray(seatIds) ? seatIds.map(id => parseInt(id)) : [];
+      if (ids.length === 0 || new Set(ids).size !== ids.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'seatIds must be a non-empty array without duplicates'
+        });
+      }
+      selection = { seatIds: ids };
+    }
+
+    const result = createOrder(event, req.user.id, selection);
+
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Order created. Pay it before the seat locks run out',
+      data: result.order
+    });
+  });
+
+  // POST /api/orders/:orderId/pay - Authorize payment, { paymentToken }; books the seats on success
+  router.post('/orders/:orderId/pay', requireAuth, idempotent, findOrder, (req, res, next) => {
+    pay(req.order, req.body.paymentToken).then(result => {
+      if (result.error) {
+        return res.status(result.error.status).json({
+          success: false,
+          message: result.error.message,
+          data: result.order
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Payment authorized and seats booked',
+        data: { ...result.order, seats: result.seats, bookings: result.bookings }
+      });
+    }).catch(next);
+  });
+
+  // GET /api/orders - The signed-in user's orders (optional ?status=)
+  router.get('/orders', requireAuth, (req, res) => {
+    const mine = orders.filter(o =>
+      o.userId === req.user.id && (!req.query.status || o.status === req.query.status)
+    );
+
+    res.json({
+      success: true,
+      count: mine.length,
+      data: mine
+    });
+  });
+
+  // GET /api/orders/:orderId - One order
+  router.get('/orders/:orderId', requireAuth, findOrder, (req, res) => {
+    res.json({
+      success: true,
+      data: req.order
+    });
+  });
+
+  return { router, checkout, refundBooking, restore, orders };
+}
+
+module.exports = { createOrders };
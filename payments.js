@@ -0,0 +1,139 @@
+// payments.js - Payment provider interface and a local mock provider
+//
+// A payment provider implements:
+//   name
+//   authorize({ reference, amount, paymentToken })
+//                       -> Promise of { status: 'authorized', authorizationId }
+//                          or { status: 'declined', reason }
+//   void(authorizationId) -> Promise; cancel an authorization that will not be used
+//   refund({ authorizationId, amount, reference })
+//                       -> Promise of { status: 'refunded', refundId } or { status: 'failed', reason };
+//                          give back part or all of an authorized amount (a cancelled booking)
+//
+// Only MockPaymentProvider ships here; it needs no network, so checkout can be
+// tested offline. A real gateway plugs in by implementing the same three methods.
+
+const MOCK_OUTCOMES = ['success', 'decline', 'timeout'];
+
+// Pretends to be a gateway. The outcome comes from the paymentToken
+// ("mock-success", "mock-decline", "mock-timeout") or, without one, the default outcome.
+class MockPaymentProvider {
+  constructor({ outcome = 'success' } = {}) {
+    this.name = 'mock';
+    this.outcome = outcome;
+    this.authorizations = new Map(); // authorizationId -> { reference, amount, refunded, status }
+    this.nextAuthorizationId = 1;
+    this.nextRefundId = 1;
+  }
+
+  authorize({ reference, amount, paymentToken }) {
+    const requested = typeof paymentToken === 'string' && paymentToken.startsWith('mock-')
+      ? paymentToken.slice('mock-'.length)
+      : this.outcome;
+
+    if (requested === 'timeout') {
+      // A gateway that never answers; the caller's timeout has to catch it
+      return new Promise(() => {});
+    }
+
+    if (requested === 'decline') {
+      return Promise.resolve({ status: 'declined', reason: 'Card declined (mock)' });
+    }
+
+    const authorizationId = `mock_auth_${this.nextAuthorizationId++}`;
+    this.authorizations.set(authorizationId, { reference, amount, refunded: 0, status: 'authorized' });
+    return Promise.resolve({ status: 'authorized', authorizationId });
+  }
+
+  void(authorizationId) {
+    const authorization = this.authorizations.get(authorizationId);
+    if (authorization) {
+      authorization.status = 'voided';
+    }
+    return Promise.resolve();
+  }
+
+  // An authorization from before a restart is unknown here and refunds as if it were valid
+  refund({ authorizationId, amount }) {
+    const authorization = this.authorizations.get(authorizationId);
+    if (authorization && authorization.status === 'voided') {
+      return Promise.resolve({ status: 'failed', reason: 'Authorization was voided (mock)' });
+    }
+    if (authorization && authorization.refunded + amount > authorization.amount) {
+      return Promise.resolve({ status: 'failed', reason: 'Refund is more than was paid (mock)' });
+    }
+
+    if (authorization) {
+      authorization.refunded += amount;
+      if (authorization.refunded === authorization.amount) authorization.status = 'refunded';
+    }
+    return Promise.resolve({ status: 'refunded', refundId: `mock_refund_${this.nextRefundId++}` });
+  }
+}
+
+// Helper: authorize, but give up after timeoutMs
+// Resolves to the provider's answer, { status: 'timeout' } or { status: 'error', reason }.
+// An authorization that arrives after the timeout is voided, so nobody is charged for it.
+function authorizeWithTimeout(provider, request, timeoutMs) {
+  return new Promise(resolve => {
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      resolve({ status: 'timeout' });
+    }, timeoutMs);
+
+    Promise.resolve()
+      .then(() => provider.authorize(request))
+      .then(result => {
+        if (timedOut) {
+          if (result && result.status === 'authorized') provider.void(result.authorizationId);
+          return;
+        }
+        clearTimeout(timer);
+        resolve(result);
+      }, err => {
+        if (timedOut) return;
+        clearTimeout(timer);
+        resolve({ status: 'error', reason: err.message });
+      });
+  });
+}
+
+// Helper: refund, but give up waiting after timeoutMs
+// Resolves to the provider's answer, { status: 'timeout' } or { status: 'error', reason }.
+// A refund that completes after the timeout still went through at the provider, so a
+// timed-out refund needs checking there rather than retrying blindly.
+function refundWithTimeout(provider, request, timeoutMs) {
+  return new Promise(resolve => {
+    const timer = setTimeout(() => resolve({ status: 'timeout' }), timeoutMs);
+
+    Promise.resolve()
+      .then(() => provider.refund(request))
+      .then(result => {
+        clearTimeout(timer);
+        resolve(result);
+      }, err => {
+        clearTimeout(timer);
+        resolve({ status: 'error', reason: err.message });
+      });
+  });
+}
+
+// Pick a provider from the environment:
+//   PAYMENT_PROVIDER=mock (default)
+//   MOCK_PAYMENT_OUTCOME=success (default) | decline | timeout - used when a request has no mock token
+function createPaymentProvider(env = process.env) {
+  const type = env.PAYMENT_PROVIDER || 'mock';
+
+  if (type === 'mock') {
+    const outcome = env.MOCK_PAYMENT_OUTCOME || 'success';
+    if (!MOCK_OUTCOMES.includes(outcome)) {
+      throw new Error(`Unknown MOCK_PAYMENT_OUTCOME "${outcome}". Use ${MOCK_OUTCOMES.join(', ')}`);
+    }
+    return new MockPaymentProvider({ outcome });
+  }
+
+  throw new Error(`Unknown PAYMENT_PROVIDER "${type}". Use "mock"`);
+}
+
+module.exports = { createPaymentProvider, authorizeWithTimeout, refundWithTimeout, MockPaymentProvider };
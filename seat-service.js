@@ -0,0 +1,950 @@
+// seat-service.js - Venues, events and the seat lock lifecycle
+//
+// All seat state lives here and every route changes it through these functions,
+// so both the /api seat routes and the legacy /lock, /confirm and /unlock routes
+// share one lock lifecycle: available -> locked -> booked, or back to available when a
+// lock is released or runs past its TTL (checked against lockedAt, which an extension
+// moves forward). Every lock's deadline sits in an ExpiryScheduler, so a lapsed lock is
+// released when it lapses, whether or not any requests are coming in.
+//
+// Seat state is also kept in a lock store (see lock-store.js) and every transition is
+// a compare-and-set on it, so server instances sharing a store never hand out the same
+// seat twice. Each instance re-reads seats from the store before checking them. Venue
+// and event ids come from counters in the store and each new venue or event is published
+// there, so every instance can find it (findVenue, findEvent, loadShared). Holds, bookings
+// and accounts stay per instance: a load balancer must keep each user on one instance,
+// and a lock or booking made by another instance never belongs to a local user.
+// Syncing a seat emits no 'change' event, so listeners (live updates, the waitlist, the
+// audit log) see only this instance's transitions. server.js checks at startup that
+// each instance has its own id and journal.
+//
+// Operations that can be refused return { error: { status, code, message } } where
+// code is one of not-found, unavailable, not-locked, not-owner, in-hold, expired, limit,
+// conflict (another instance changed the seat mid-request).
+const EventEmitter = require('events');
+const { ExpiryScheduler } = require('./expiry-scheduler');
+
+// Seat categories and their default prices (an event may override the prices)
+const SEAT_CATEGORIES = ['standard', 'premium', 'accessible'];
+const DEFAULT_PRICES = { standard: 10, premium: 18, accessible: 10 };
+
+// Upper bounds on a venue layout - every event copies the whole seat inventory into memory
+const MAX_ROWS = 100;
+const MAX_SEATS_PER_ROW = 200;
+const MAX_CAPACITY = 20000;
+
+// The seat fields shared through the lock store
+const SEAT_STATE_FIELDS = ['status', 'lockedBy', 'lockedAt', 'lockTtl', 'lockExtensions', 'holdId', 'bookedBy', 'bookingId'];
+const NO_LOCK = { lockedBy: null, lockedAt: null, lockTtl: null, lockExtensions: 0, holdId: null };
+
+const CONFLICT_ERROR = { status: 409, code: 'conflict', message: 'Seat was just changed by another request. Please try again' };
+
+// Helper: row index -> row letter (0 -> A, 25 -> Z, 26 -> AA)
+function rowLabel(index) {
+  let label = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    label = String.fromCharCode(65 + remainder) + label;
+    n = Math.floor((n - 1) / 26);
+  }
+  return label;
+}
+
+// Helper: validate a layout section, returns an error message or null
+function validateSection(section, index) {
+  const where = `Section ${index + 1}`;
+  if (!section || typeof section !== 'object') {
+    return `${where} must be an object`;
+  }
+  if (!Number.isInteger(section.rows) || section.rows < 1 || section.rows > MAX_ROWS) {
+    return `${where}: rows must be an integer from 1 to ${MAX_ROWS}`;
+  }
+  if (!Number.isInteger(section.seatsPerRow) || section.seatsPerRow < 1 || section.seatsPerRow > MAX_SEATS_PER_ROW) {
+    return `${where}: seatsPerRow must be an integer from 1 to ${MAX_SEATS_PER_ROW}`;
+  }
+  if (section.category !== undefined && !SEAT_CATEGORIES.includes(section.category)) {
+    return `${where}: category must be one of ${SEAT_CATEGORIES.join(', ')}`;
+  }
+  const overrides = Object.values(section.categoryOverrides || {});
+  if (overrides.some(category => !SEAT_CATEGORIES.includes(category))) {
+    return `${where}: categoryOverrides must use one of ${SEAT_CATEGORIES.join(', ')}`;
+  }
+  return null;
+}
+
+// Helper: normalize a venue layout, returns { error } or { layout }
+// Accepts { sections: [{ name, rows, seatsPerRow, category, categoryOverrides }] }
+// or the short form { rows, seatsPerRow } for a single standard section.
+// categoryOverrides maps a row letter ("A") or a seat ("C7") to a category.
+function normalizeLayout(layout) {
+  if (!layout || typeof layout !== 'object') {
+    return { error: 'Layout is required' };
+  }
+
+  const sections = Array.isArray(layout.sections)
+    ? layout.sections
+    : [{ name: 'Main', rows: layout.rows, seatsPerRow: layout.seatsPerRow }];
+
+  if (sections.length === 0) {
+    return { error: 'Layout must have at least one section' };
+  }
+
+  for (let i = 0; i < sections.length; i++) {
+    const error = validateSection(sections[i], i);
+    if (error) return { error };
+  }
+
+  const capacity = sections.reduce((total, section) => total + section.rows * section.seatsPerRow, 0);
+  if (capacity > MAX_CAPACITY) {
+    return { error: `Layout has ${capacity} seats; a venue can have at most ${MAX_CAPACITY}` };
+  }
+
+  const names = sections.map((section, i) => section.name || `Section ${i + 1}`);
+  if (new Set(names).size !== names.length) {
+    return { error: 'Section names must be unique' };
+  }
+
+  return {
+    layout: {
+      sections: sections.map((section, i) => ({
+        name: names[i],
+        rows: section.rows,
+        seatsPerRow: section.seatsPerRow,
+        category: section.category || 'standard',
+        categoryOverrides: { ...(section.categoryOverrides || {}) }
+      }))
+    }
+  };
+}
+
+// Helper: build a fresh seat inventory from a venue layout, priced for one event
+function buildSeats(layout, prices, eventId) {
+  const seats = [];
+  layout.sections.forEach(section => {
+    for (let r = 0; r < section.rows; r++) {
+      const row = rowLabel(r);
+      for (let number = 1; number <= section.seatsPerRow; number++) {
+        const category = section.categoryOverrides[`${row}${number}`] ||
+          section.categoryOverrides[row] ||
+          section.category;
+        seats.push({
+          id: seats.length + 1,
+          eventId,
+          section: section.name,
+          row,
+          number,
+          category,
+          price: prices[category],
+          status: 'available', // available, locked, booked, blocked
+          lockedBy: null,
+          lockedAt: null,
+          lockTtl: null,
+          lockExtensions: 0,
+          holdId: null,
+          bookedBy: null,
+          bookingId: null
+        });
+      }
+    }
+  });
+  return seats;
+}
+
+// Helper: validate per-event price overrides, returns an error message or null
+function validatePrices(prices) {
+  if (prices === undefined) return null;
+  if (!prices || typeof prices !== 'object') {
+    return 'Prices must be an object of category -> price';
+  }
+  for (const [category, price] of Object.entries(prices)) {
+    if (!SEAT_CATEGORIES.includes(category)) {
+      return `Unknown seat category "${category}"`;
+    }
+    if (typeof price !== 'number' || price < 0) {
+      return `Price for ${category} must be a non-negative number`;
+    }
+  }
+  return null;
+}
+
+// Helper: event without its seat list, with availability counts
+function eventSummary(event) {
+  const { seats, ...rest } = event;
+  return {
+    ...rest,
+    available: seats.filter(seat => seat.status === 'available').length,
+    capacity: seats.length
+  };
+}
+
+// Helper: apply ?section=&row=&category=&minPrice=&maxPrice= filters, returns { error } or { seats }
+function filterSeats(seats, query) {
+  const { section, row, category, minPrice, maxPrice } = query;
+
+  if (category !== undefined && !SEAT_CATEGORIES.includes(category)) {
+    return { error: `Category must be one of ${SEAT_CATEGORIES.join(', ')}` };
+  }
+  if ((minPrice !== undefined && isNaN(Number(minPrice))) ||
+      (maxPrice !== undefined && isNaN(Number(maxPrice)))) {
+    return { error: 'minPrice and maxPrice must be numbers' };
+  }
+
+  return {
+    seats: seats.filter(seat =>
+      (section === undefined || seat.section.toLowerCase() === String(section).toLowerCase()) &&
+      (row === undefined || seat.row === String(row).toUpperCase()) &&
+      (category === undefined || seat.category === category) &&
+      (minPrice === undefined || seat.price >= Number(minPrice)) &&
+      (maxPrice === undefined || seat.price <= Number(maxPrice))
+    )
+  };
+}
+
+// Helper: seats grouped section -> row -> seats, in layout order, for drawing the hall
+function buildSeatMap(event) {
+  const sections = [];
+  event.seats.forEach(seat => {
+    let section = sections.find(s => s.name === seat.section);
+    if (!section) {
+      section = { name: seat.section, rows: [] };
+      sections.push(section);
+    }
+    let row = section.rows.find(r => r.row === seat.row);
+    if (!row) {
+      row = { row: seat.row, seats: [] };
+      section.rows.push(row);
+    }
+    row.seats.push({
+      id: seat.id,
+      number: seat.number,
+      category: seat.category,
+      price: seat.price,
+      status: seat.status
+    });
+  });
+  return sections;
+}
+
+// Helper: compare two score arrays element by element (lower is better)
+function compareScores(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+// Helper: find the best block of `size` adjacent available seats, or null
+// Adjacent means same section and row with consecutive seat numbers. Blocks are
+// ranked by row (front rows first), then by closeness to the middle of the row,
+// then by section order in the layout.
+function findBestBlock(seats, size, { category, section } = {}) {
+  const sectionNames = [...new Set(seats.map(seat => seat.section))];
+
+  // Group seats into rows, remembering each row's position within its section
+  const rows = [];
+  seats.forEach(seat => {
+    let row = rows.find(r => r.section === seat.section && r.row === seat.row);
+    if (!row) {
+      row = {
+        section: seat.section,
+        row: seat.row,
+        position: rows.filter(r => r.section === seat.section).length,
+        seats: []
+      };
+      rows.push(row);
+    }
+    row.seats.push(seat);
+  });
+
+  let best = null;
+  rows
+    .filter(row => !section || row.section.toLowerCase() === String(section).toLowerCase())
+    .forEach(row => {
+      const rowSeats = [...row.seats].sort((a, b) => a.number - b.number);
+      const rowCenter = (rowSeats[0].number + rowSeats[rowSeats.length - 1].number) / 2;
+
+      for (let start = 0; start + size <= rowSeats.length; start++) {
+        const block = rowSeats.slice(start, start + size);
+        const usable = block.every((seat, i) =>
+          seat.status === 'available' &&
+          (!category || seat.category === category) &&
+          (i === 0 || seat.number === block[i - 1].number + 1)
+        );
+        if (!usable) continue;
+
+        const offset = Math.abs((block[0].number + block[size - 1].number) / 2 - rowCenter);
+        const score = [row.position, offset, sectionNames.indexOf(row.section)];
+        if (!best || compareScores(score, best.score) < 0) {
+          best = { seats: block, score };
+        }
+      }
+    });
+
+  return best ? best.seats : null;
+}
+
+// deps: { storage (see seat-storage.js), lockStore (see lock-store.js), instanceId (names this instance in the store),
+//         settings (lockExpirationTime, maxLockExtensions, maxLockedSeats, maxBookedSeats, cancellationCutoff) }
+function createSeatService({ storage, lockStore, instanceId, settings }) {
+  // A venue describes a hall layout; every event (show/screening) at that venue
+  // gets its own copy of the seats so bookings never leak between shows.
+  const venues = [];
+  const events = [];
+  let nextVenueId = 1;
+  let nextEventId = 1;
+
+  // Group holds: several seats locked together so they are confirmed or released as one
+  const holds = [];
+  let nextHoldId = 1;
+
+  // Booking records - one per booked seat; cancelling marks the record, it is never deleted
+  // { id, eventId, seatId, orderId, userId, price, status: confirmed | cancelled, createdAt, cancelledAt, cancelledBy, refundAmount }
+  const bookings = [];
+  let nextBookingId = 1;
+
+  // Every seat state change is published here as a 'change' event:
+  // { eventId, seatId, previousStatus, status, actor, userId, reason, at, seat }
+  // reason is one of locked, offered, extended, booked, released, payment-failed, expired,
+  // force-released, cancelled, blocked, unblocked; actor is null for automatic changes.
+  // userId is the customer the seat is (or, for a release, was) locked or booked for.
+  const seatEvents = new EventEmitter();
+  seatEvents.setMaxListeners(0); // one listener per open stream
+
+  // Write-through: listeners run synchronously, so a change is stored before the route responds
+  seatEvents.on('change', change => storage.save('seat', change.seat));
+
+  // Lock expiry: one deadline per locked seat, keyed "eventId:seatId". Any change that
+  // leaves a seat locked (re)schedules it; any other change cancels it.
+  const expiry = new ExpiryScheduler();
+  seatEvents.on('change', change => {
+    if (change.status === 'locked') {
+      scheduleExpiry(change.seat);
+    } else {
+      expiry.cancel(`${change.eventId}:${change.seatId}`);
+    }
+  });
+  expiry.on('due', key => {
+    const [eventId, seatId] = key.split(':').map(Number);
+    const event = findEvent(eventId);
+    const seat = event && findSeat(event, seatId);
+    if (seat) syncSeat(seat);
+    if (!seat || seat.status !== 'locked') return;
+
+    if (isLockExpired(seat)) {
+      expireLock(seat);
+    } else {
+      scheduleExpiry(seat); // the TTL was raised since this deadline was set
+    }
+  });
+
+  // Who held each lock that ran out ("eventId:seatId" -> userId), so a late confirm
+  // is told the lock expired rather than that the seat was never locked
+  const lapsedLocks = new Map();
+
+  // The lock store version each seat was last read or written at, and the instance that
+  // wrote it ("eventId:seatId" -> version / instanceId)
+  const versions = new Map();
+  const writers = new Map();
+
+  // Load venues, events, holds and bookings saved by a previous run; venues and events
+  // the lock store has no record of yet are published to it
+  function restore(saved) {
+    venues.push(...saved.venues);
+    events.push(...saved.events);
+    holds.push(...saved.holds);
+    bookings.push(...saved.bookings);
+    nextVenueId = Math.max(0, ...venues.map(v => v.id)) + 1;
+    nextEventId = Math.max(0, ...events.map(e => e.id)) + 1;
+    nextHoldId = Math.max(0, ...holds.map(h => h.id)) + 1;
+    nextBookingId = Math.max(0, ...bookings.map(b => b.id)) + 1;
+
+    venues.forEach(venue => lockStore.compareAndSet([{ key: `venue:${venue.id}`, version: 0, value: venue }]));
+    events.forEach(event => lockStore.compareAndSet([{ key: `event:${event.id}`, version: 0, value: eventDefinition(event) }]));
+  }
+
+  // Helper: the part of an event published to the lock store - the seats are rebuilt from the venue
+  function eventDefinition(event) {
+    const { seats, ...definition } = event;
+    return definition;
+  }
+
+  // Helper: take the next venue or event id (type) from the counter shared through the lock
+  // store and publish build(id) under it, all in one compare-and-set; returns what was built
+  function publish(type, build) {
+    for (;;) {
+      const counter = lockStore.get(`ids:${type}`);
+      const id = Math.max(counter ? counter.value.next : 1, type === 'venue' ? nextVenueId : nextEventId);
+      const built = build(id);
+      const definition = type === 'event' ? eventDefinition(built) : built;
+
+      if (lockStore.compareAndSet([
+        { key: `ids:${type}`, version: counter ? counter.version : 0, value: { next: id + 1 } },
+        { key: `${type}:${id}`, version: 0, value: definition }
+      ])) {
+        return built;
+      }
+    }
+  }
+
+  // Register a venue
+  function createVenue(name, layout) {
+    const venue = publish('venue', id => ({
+      id,
+      name,
+      layout,
+      capacity: layout.sections.reduce((sum, section) => sum + section.rows * section.seatsPerRow, 0)
+    }));
+    nextVenueId = venue.id + 1;
+    venues.push(venue);
+    storage.save('venue', venue);
+    return venue;
+  }
+
+  // Schedule an event at a venue with its own seat inventory
+  function createEvent(venue, name, startsAt, prices = {}) {
+    const eventPrices = { ...DEFAULT_PRICES, ...prices };
+    const event = publish('event', id => ({
+      id,
+      venueId: venue.id,
+      name,
+      startsAt,
+      prices: eventPrices,
+      seats: buildSeats(venue.layout, eventPrices, id)
+    }));
+    nextEventId = event.id + 1;
+    events.push(event);
+    storage.save('event', event);
+    return event;
+  }
+
+  // A venue by id - one another instance created is read from the lock store and kept here
+  function findVenue(venueId) {
+    const venue = venues.find(v => v.id === venueId);
+    if (venue) return venue;
+
+    const record = lockStore.get(`venue:${venueId}`);
+    if (!record) return null;
+    venues.push(record.value);
+    storage.save('venue', record.value);
+    return record.value;
+  }
+
+  // An event by id - one another instance created is read from the lock store, given a
+  // fresh seat inventory (the seats catch up with the store as they are used) and kept here
+  function findEvent(eventId) {
+    const event = events.find(e => e.id === eventId);
+    if (event) return event;
+
+    const record = lockStore.get(`event:${eventId}`);
+    const venue = record && findVenue(record.value.venueId);
+    if (!venue) return null;
+
+    const shared = { ...record.value, seats: buildSeats(venue.layout, record.value.prices, record.value.id) };
+    events.push(shared);
+    storage.save('event', shared);
+    return shared;
+  }
+
+  // Pick up every venue and event other instances have created since this one last looked
+  function loadShared() {
+    ['venue', 'event'].forEach(type => {
+      const counter = lockStore.get(`ids:${type}`);
+      const find = type === 'venue' ? findVenue : findEvent;
+      for (let id = 1; counter && id < counter.value.next; id++) find(id);
+    });
+    venues.sort((a, b) => a.id - b.id);
+    events.sort((a, b) => a.id - b.id);
+  }
+
+  function findSeat(event, seatId) {
+    return event.seats.find(s => s.id === seatId) || null;
+  }
+
+  function seatKey(seat) {
+    return `${seat.eventId}:${seat.id}`;
+  }
+
+  // Helper: the part of a seat that lives in the lock store
+  function seatState(seat) {
+    const state = {};
+    SEAT_STATE_FIELDS.forEach(field => { state[field] = seat[field]; });
+    return state;
+  }
+
+  // Bring a seat up to date with the lock store. A seat the store has no record of yet
+  // (restored from the journal in a changed state) is written to it instead.
+  function syncSeat(seat) {
+    const key = seatKey(seat);
+    const record = lockStore.get(`seat:${key}`);
+
+    if (!record) {
+      versions.delete(key);
+      if (seat.status !== 'available') storeSeats([{ seat, fields: {} }]);
+      return;
+    }
+    if (record.version === versions.get(key)) return;
+
+    const { instance, ...state } = record.value;
+    Object.assign(seat, state);
+    versions.set(key, record.version);
+    writers.set(key, instance);
+    if (seat.status === 'locked') {
+      scheduleExpiry(seat);
+    } else {
+      expiry.cancel(key);
+    }
+  }
+
+  // Re-read every seat of an event from the lock store
+  function syncEvent(event) {
+    event.seats.forEach(syncSeat);
+  }
+
+  // Was the seat's current lock or booking made by this instance? User, hold and
+  // booking ids are per instance, so only then can they be compared with local ones.
+  function isLocal(seat) {
+    return (writers.get(seatKey(seat)) || instanceId) === instanceId;
+  }
+
+  // Is this seat locked by this user (under this hold, if given) through this instance?
+  function ownsLock(seat, userId, holdId = null) {
+    return seat.status === 'locked' && seat.lockedBy === userId && seat.holdId === holdId && isLocal(seat);
+  }
+
+  // Helper: compare-and-set new state for several seats at once, all or none. On success
+  // the state is applied locally; on a conflict the seats are re-read and nothing changes.
+  // updates: [{ seat, fields }]
+  function storeSeats(updates) {
+    const changes = updates.map(({ seat, fields }) => ({
+      key: `seat:${seatKey(seat)}`,
+      version: versions.get(seatKey(seat)) || 0,
+      value: { ...seatState(seat), ...fields, instance: instanceId }
+    }));
+
+    if (!lockStore.compareAndSet(changes)) {
+      updates.forEach(({ seat }) => syncSeat(seat));
+      return false;
+    }
+
+    updates.forEach(({ seat, fields }, i) => {
+      Object.assign(seat, fields);
+      versions.set(seatKey(seat), changes[i].version + 1);
+      writers.set(seatKey(seat), instanceId);
+    });
+    return true;
+  }
+
+  // Has this seat's lock run past the lock TTL?
+  // A lock may carry its own lockTtl (waitlist offers do); otherwise the global TTL applies.
+  function isLockExpired(seat, now = Date.now()) {
+    return seat.status === 'locked' && now - seat.lockedAt > (seat.lockTtl || settings.lockExpirationTime);
+  }
+
+  // When this seat's lock runs out
+  function lockExpiresAt(seat) {
+    return seat.lockedAt + (seat.lockTtl || settings.lockExpirationTime);
+  }
+
+  // Can this seat be locked? Returns { status, code, message } or null
+  function checkLockable(seat) {
+    if (!seat) {
+      return { status: 404, code: 'not-found', message: 'Seat not found' };
+    }
+    if (seat.status !== 'available') {
+      return { status: 400, code: 'unavailable', message: `Seat is ${seat.status}. Cannot lock at this time.` };
+    }
+    return null;
+  }
+
+  // Can this user confirm or release their lock on this seat? Returns { status, code, message } or null
+  // Seats locked as part of a hold can only be confirmed/released through that hold.
+  function checkLockOwner(seat, userId, holdId, notLockedMessage) {
+    if (!seat) {
+      return { status: 404, code: 'not-found', message: 'Seat not found' };
+    }
+    if (seat.status !== 'locked') {
+      return { status: 400, code: 'not-locked', message: notLockedMessage };
+    }
+    if (seat.lockedBy !== userId || !isLocal(seat)) {
+      return { status: 403, code: 'not-owner', message: 'Seat is locked by another user' };
+    }
+    if (seat.holdId !== holdId) {
+      return { status: 400, code: 'in-hold', message: `Seat is part of hold ${seat.holdId}. Confirm or release the hold instead` };
+    }
+    return null;
+  }
+
+  // Would locking `count` more seats take this user past the per-event caps?
+  // Returns { status, code, message } or null. Locked seats count towards the booked cap
+  // too, so a user can never lock more than they would be allowed to book.
+  function checkUserLimits(event, userId, count) {
+    const locked = event.seats.filter(seat => seat.status === 'locked' && seat.lockedBy === userId && isLocal(seat)).length;
+    const booked = bookings.filter(b => b.eventId === event.id && b.userId === userId && b.status === 'confirmed').length;
+
+    if (locked + count > settings.maxLockedSeats) {
+      return { status: 409, code: 'limit', message: `You can lock at most ${settings.maxLockedSeats} seats per event at a time` };
+    }
+    if (booked + locked + count > settings.maxBookedSeats) {
+      return { status: 409, code: 'limit', message: `You can book at most ${settings.maxBookedSeats} seats per event` };
+    }
+    return null;
+  }
+
+  // Who the seat is locked or booked for, or null
+  function seatHolder(seat) {
+    return seat.lockedBy || seat.bookedBy || null;
+  }
+
+  // Publish a seat transition; previous is { status, userId } from before the change
+  function publishSeatChange(seat, previous, actor, reason) {
+    seatEvents.emit('change', {
+      eventId: seat.eventId,
+      seatId: seat.id,
+      previousStatus: previous.status,
+      status: seat.status,
+      actor,
+      userId: seatHolder(seat) || previous.userId,
+      reason,
+      at: Date.now(),
+      seat: { ...seat }
+    });
+  }
+
+  // Helper: store a transition for several seats and publish each seat's change
+  // Returns false when another instance changed one of the seats first.
+  function commit(updates, actor, reason) {
+    const previous = updates.map(({ seat }) => ({ status: seat.status, userId: seatHolder(seat) }));
+    if (!storeSeats(updates)) return false;
+
+    updates.forEach(({ seat }, i) => publishSeatChange(seat, previous[i], actor, reason));
+    return true;
+  }
+
+  // The seat transitions - callers check the seat first (see lock, confirm, release below).
+  // Each returns false (or null) if another instance changed the seat in the meantime.
+  function lockSeat(seat, userId, holdId = null, { ttl = null, reason = 'locked' } = {}) {
+    return lockSeats([seat], userId, holdId, { ttl, reason });
+  }
+
+  function lockSeats(seats, userId, holdId = null, { ttl = null, reason = 'locked' } = {}) {
+    const fields = { status: 'locked', ...NO_LOCK, lockedBy: userId, lockedAt: Date.now(), lockTtl: ttl, holdId };
+    if (!commit(seats.map(seat => ({ seat, fields })), userId, reason)) return false;
+
+    seats.forEach(seat => lapsedLocks.delete(seatKey(seat)));
+    return true;
+  }
+
+  // Book locked seats for a user, all or none; returns their booking records or null
+  function bookSeats(seats, userId, orderId = null) {
+    const previous = seats.map(seat => ({ status: seat.status, userId: seatHolder(seat) }));
+    const updates = seats.map((seat, i) => ({
+      seat,
+      fields: { status: 'booked', ...NO_LOCK, bookedBy: userId, bookingId: nextBookingId + i }
+    }));
+    if (!storeSeats(updates)) return null;
+
+    const created = seats.map(seat => ({
+      id: nextBookingId++,
+      eventId: seat.eventId,
+      seatId: seat.id,
+      orderId,
+      userId,
+      price: seat.price,
+      status: 'confirmed',
+      createdAt: Date.now(),
+      cancelledAt: null,
+      cancelledBy: null,
+      refundAmount: null
+    }));
+    created.forEach(booking => {
+      bookings.push(booking);
+      storage.save('booking', booking);
+    });
+
+    seats.forEach((seat, i) => publishSeatChange(seat, previous[i], userId, 'booked'));
+    return created;
+  }
+
+  function releaseSeat(seat, actor = null, reason = 'released') {
+    return commit([{ seat, fields: { status: 'available', ...NO_LOCK, bookedBy: null, bookingId: null } }], actor, reason);
+  }
+
+  // Release a lock that ran past its TTL
+  function expireLock(seat) {
+    const key = seatKey(seat);
+    lapsedLocks.set(key, seat.lockedBy);
+    if (releaseSeat(seat, null, 'expired')) return true;
+
+    lapsedLocks.delete(key);
+    return false;
+  }
+
+  // Take a seat out of sale (maintenance); only admins do this
+  function blockSeat(seat, actor) {
+    return commit([{ seat, fields: { status: 'blocked', ...NO_LOCK } }], actor, 'blocked');
+  }
+
+  // Lock one seat for a user, returns { error } or { seat }
+  function lock(event, seatId, userId) {
+    const seat = findSeat(event, seatId);
+    if (seat) syncSeat(seat);
+
+    // A lapsed lock is released before anyone can take the seat
+    if (seat && isLockExpired(seat)) {
+      expireLock(seat);
+    }
+
+    const error = checkLockable(seat) || checkUserLimits(event, userId, 1);
+    if (error) return { error };
+
+    // Another instance may have taken the seat since it was read
+    if (!lockSeat(seat, userId)) {
+      return { error: checkLockable(seat) || CONFLICT_ERROR };
+    }
+    return { seat };
+  }
+
+  // Restart the TTL on locked seats, at most settings.maxLockExtensions times per lock.
+  // Checks every seat before touching any; returns { error } or { seats }
+  function renewLocks(seats) {
+    if (seats.some(seat => isLockExpired(seat))) {
+      seats.filter(seat => isLockExpired(seat)).forEach(expireLock);
+      return { error: { status: 400, code: 'expired', message: 'Lock has expired. Please lock the seat again' } };
+    }
+    if (seats.some(seat => (seat.lockExtensions || 0) >= settings.maxLockExtensions)) {
+      return { error: { status: 409, code: 'limit', message: `A lock can be extended at most ${settings.maxLockExtensions} times` } };
+    }
+
+    const updates = seats.map(seat => ({
+      seat,
+      fields: { lockedAt: Date.now(), lockExtensions: (seat.lockExtensions || 0) + 1 }
+    }));
+    if (!commit(updates, seats[0].lockedBy, 'extended')) {
+      return { error: CONFLICT_ERROR };
+    }
+    return { seats };
+  }
+
+  // Extend the user's lock on one seat, returns { error } or { seat }
+  function extend(event, seatId, userId) {
+    const seat = findSeat(event, seatId);
+    if (seat) syncSeat(seat);
+    const error = checkLockOwner(seat, userId, null, 'Seat is not locked');
+    if (error) return { error };
+
+    const result = renewLocks([seat]);
+    return result.error ? result : { seat };
+  }
+
+  // Is this seat locked by the user and ready to book? Returns { error } or { seat }
+  // Booking itself happens at checkout (see orders.js), once payment is authorized.
+  function checkConfirmable(event, seatId, userId) {
+    const seat = findSeat(event, seatId);
+    if (seat) syncSeat(seat);
+
+    if (seat && isLockExpired(seat)) {
+      expireLock(seat);
+    }
+    if (seat && seat.status === 'available' && lapsedLocks.get(`${event.id}:${seat.id}`) === userId) {
+      return { error: { status: 400, code: 'expired', message: 'Lock has expired. Please lock the seat again' } };
+    }
+
+    const error = checkLockOwner(seat, userId, null, 'Seat must be locked before confirming');
+    if (error) return { error };
+
+    return { seat };
+  }
+
+  // Give up the user's lock on a seat, returns { error } or { seat }
+  function release(event, seatId, userId) {
+    const seat = findSeat(event, seatId);
+    if (seat) syncSeat(seat);
+    const error = checkLockOwner(seat, userId, null, 'Seat is not locked');
+    if (error) return { error };
+
+    if (!releaseSeat(seat, userId)) {
+      return { error: CONFLICT_ERROR };
+    }
+    return { seat };
+  }
+
+  // Lock the given (already checked) seats for a user under a new hold
+  // Returns the hold, or null when another instance took one of the seats first.
+  function createHold(event, userId, seats) {
+    if (!lockSeats(seats, userId, nextHoldId)) return null;
+
+    const hold = {
+      id: nextHoldId++,
+      eventId: event.id,
+      userId,
+      seatIds: seats.map(seat => seat.id),
+      status: 'active', // active, confirmed, released, expired
+      createdAt: Date.now()
+    };
+    holds.push(hold);
+    storage.save('hold', hold);
+    return hold;
+  }
+
+  // Move a hold to confirmed, released or expired
+  function setHoldStatus(hold, status) {
+    hold.status = status;
+    storage.save('hold', hold);
+  }
+
+  function holdSeats(hold) {
+    const event = findEvent(hold.eventId);
+    const seats = hold.seatIds.map(id => findSeat(event, id));
+    seats.forEach(syncSeat);
+    return seats;
+  }
+
+  // Helper: is this seat still locked under the hold (and not under another instance's hold with the same id)?
+  function inHold(seat, hold) {
+    return seat.holdId === hold.id && isLocal(seat);
+  }
+
+  // Is every seat of an active hold still locked under it? Returns { error } or { seats }
+  function checkHoldConfirmable(hold) {
+    const seats = holdSeats(hold);
+
+    // The seats were locked together, so they expire together
+    if (seats.some(seat => isLockExpired(seat) || !inHold(seat, hold))) {
+      seats.filter(seat => inHold(seat, hold)).forEach(expireLock);
+      setHoldStatus(hold, 'expired');
+      return { error: { status: 400, code: 'expired', message: 'Hold has expired. Please lock the seats again' } };
+    }
+
+    for (const seat of seats) {
+      const error = checkLockOwner(seat, hold.userId, hold.id, 'Seat must be locked before confirming');
+      if (error) return { error };
+    }
+
+    return { seats };
+  }
+
+  // Extend every seat in an active hold together, returns { error } or { seats }
+  function extendHold(hold) {
+    const seats = holdSeats(hold);
+
+    if (seats.some(seat => isLockExpired(seat) || !inHold(seat, hold))) {
+      seats.filter(seat => inHold(seat, hold)).forEach(expireLock);
+      setHoldStatus(hold, 'expired');
+      return { error: { status: 400, code: 'expired', message: 'Hold has expired. Please lock the seats again' } };
+    }
+
+    return renewLocks(seats);
+  }
+
+  // Release every seat still locked under an active hold, returns { seats }
+  function releaseHold(hold) {
+    const seats = holdSeats(hold);
+    seats.filter(seat => inHold(seat, hold)).forEach(seat => releaseSeat(seat, hold.userId));
+    setHoldStatus(hold, 'released');
+    return { seats };
+  }
+
+  // Cancel a confirmed booking for a full refund and put the seat back on sale;
+  // orders.refundBooking pays the refundAmount back through the payment provider.
+  // Returns { error } (and cancels nothing) when another instance changed the seat first, or { booking }
+  function cancelBooking(booking, actor) {
+    const event = findEvent(booking.eventId);
+    const seat = event && findSeat(event, booking.seatId);
+    if (seat) syncSeat(seat);
+
+    if (seat && seat.bookingId === booking.id && isLocal(seat) && !releaseSeat(seat, actor, 'cancelled')) {
+      return { error: CONFLICT_ERROR };
+    }
+
+    booking.status = 'cancelled';
+    booking.cancelledAt = Date.now();
+    booking.cancelledBy = actor;
+    booking.refundAmount = booking.price;
+    storage.save('booking', booking);
+    return { booking };
+  }
+
+  // Latest time a customer may still cancel for this event, or null when there is no cutoff
+  function cancellationDeadline(event) {
+    return event.startsAt ? Date.parse(event.startsAt) - settings.cancellationCutoff : null;
+  }
+
+  // Helper: schedule a locked seat's expiry. isLockExpired is strict (> TTL), so the
+  // deadline is the first millisecond at which the lock counts as expired.
+  function scheduleExpiry(seat) {
+    expiry.schedule(`${seat.eventId}:${seat.id}`, lockExpiresAt(seat) + 1);
+  }
+
+  // (Re)schedule every locked seat - after a restore, or when the global lock TTL changes
+  function scheduleLocks() {
+    events.forEach(event => {
+      event.seats.filter(seat => seat.status === 'locked').forEach(scheduleExpiry);
+    });
+  }
+
+  // Release every lock that has run past the lock TTL
+  function releaseExpiredLocks() {
+    const currentTime = Date.now();
+    events.forEach(event => {
+      event.seats.forEach(seat => {
+        if (isLockExpired(seat, currentTime)) {
+          expireLock(seat);
+        }
+      });
+    });
+  }
+
+  return {
+    venues,
+    events,
+    holds,
+    bookings,
+    seatEvents,
+    restore,
+    createVenue,
+    createEvent,
+    findVenue,
+    findEvent,
+    loadShared,
+    findSeat,
+    syncSeat,
+    syncEvent,
+    isLocal,
+    ownsLock,
+    isLockExpired,
+    lockExpiresAt,
+    checkLockable,
+    checkUserLimits,
+    lockSeat,
+    bookSeats,
+    releaseSeat,
+    blockSeat,
+    lock,
+    checkConfirmable,
+    release,
+    extend,
+    createHold,
+    setHoldStatus,
+    checkHoldConfirmable,
+    extendHold,
+    releaseHold,
+    cancelBooking,
+    cancellationDeadline,
+    scheduleLocks,
+    releaseExpiredLocks
+  };
+}
+
+module.exports = {
+  createSeatService,
+  SEAT_CATEGORIES,
+  DEFAULT_PRICES,
+  CONFLICT_ERROR,
+  normalizeLayout,
+  validatePrices,
+  eventSummary,
+  filterSeats,
+  buildSeatMap,
+  findBestBlock
+};
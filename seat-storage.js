@@ -0,0 +1,177 @@
+// seat-storage.js - Pluggable persistence for the seat server
+//
+// A storage backend implements:
+//   load()             -> saved state { venues, events, holds, bookings, orders, tickets, waitlist, users, settings,
+//                         adminActions, idempotencyKeys, audit }
+//                         or null when empty
+//   save(type, data)   -> persist one record of a RECORD_TYPES type
+//   compact(state)     -> rewrite storage to hold just the given state
+//
+// Two backends ship here: MemoryStorage (nothing survives a restart) and
+// JournalStorage (append-only JSON lines file, replayed on startup).
+const fs = require('fs');
+const path = require('path');
+
+const RECORD_TYPES = ['venue', 'event', 'seat', 'hold', 'booking', 'order', 'ticket', 'waitlist', 'user', 'setting', 'admin-action', 'idempotency-key', 'audit'];
+
+// Storage that keeps nothing - state lives only in the server's memory
+class MemoryStorage {
+  load() {
+    return null;
+  }
+
+  save() {}
+
+  compact() {}
+}
+
+// Append-only journal: one JSON record per line, later records win
+class JournalStorage {
+  constructor(file) {
+    this.file = file;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return null;
+    }
+
+    const lines = fs.readFileSync(this.file, 'utf8').split('\n');
+    const venues = new Map();
+    const events = new Map();
+    const holds = new Map();
+    const bookings = new Map();
+    const orders = new Map();
+    const tickets = new Map();
+    const waitlist = new Map();
+    const users = new Map();
+    const settings = {};
+    const adminActions = [];
+    const idempotencyKeys = new Map();
+    const audit = [];
+
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (err) {
+        // A crash mid-append can leave a partial final line; anything else is corruption
+        if (lines.slice(index + 1).every(rest => !rest.trim())) return;
+        throw new Error(`Seat journal ${this.file} is corrupt at line ${index + 1}: ${err.message}`);
+      }
+
+      if (!record || !RECORD_TYPES.includes(record.type) || !record.data) {
+        throw new Error(`Seat journal ${this.file} has an invalid record at line ${index + 1}`);
+      }
+
+      const { type, data } = record;
+      if (type === 'venue') {
+        venues.set(data.id, data);
+      } else if (type === 'event') {
+        events.set(data.id, data);
+      } else if (type === 'hold') {
+        holds.set(data.id, data);
+      } else if (type === 'booking') {
+        bookings.set(data.id, data);
+      } else if (type === 'order') {
+        orders.set(data.id, data);
+      } else if (type === 'ticket') {
+        tickets.set(data.id, data);
+      } else if (type === 'waitlist') {
+        waitlist.set(data.id, data);
+      } else if (type === 'user') {
+        users.set(data.id, data);
+      } else if (type === 'setting') {
+        settings[data.key] = data.value;
+      } else if (type === 'admin-action') {
+        adminActions.push(data);
+      } else if (type === 'idempotency-key') {
+        idempotencyKeys.set(data.id, data);
+      } else if (type === 'audit') {
+        audit.push(data);
+      } else if (type === 'seat') {
+        const event = events.get(data.eventId);
+        const seatIndex = event ? event.seats.findIndex(seat => seat.id === data.id) : -1;
+        if (seatIndex === -1) {
+          throw new Error(`Seat journal ${this.file} references unknown seat ${data.eventId}/${data.id} at line ${index + 1}`);
+        }
+        event.seats[seatIndex] = data;
+      }
+    });
+
+    if (venues.size === 0) {
+      return null;
+    }
+
+    return {
+      venues: [...venues.values()],
+      events: [...events.values()],
+      holds: [...holds.values()],
+      bookings: [...bookings.values()],
+      orders: [...orders.values()],
+      tickets: [...tickets.values()],
+      waitlist: [...waitlist.values()],
+      users: [...users.values()],
+      settings,
+      adminActions,
+      idempotencyKeys: [...idempotencyKeys.values()],
+      audit
+    };
+  }
+
+  save(type, data) {
+    // Synchronous so the record is on disk before the route responds
+    fs.appendFileSync(this.file, JSON.stringify({ type, data }) + '\n');
+  }
+
+  compact(state) {
+    const lines = [
+      ...state.venues.map(data => ({ type: 'venue', data })),
+      ...state.events.map(data => ({ type: 'event', data })),
+      ...state.holds.map(data => ({ type: 'hold', data })),
+      ...state.bookings.map(data => ({ type: 'booking', data })),
+      ...state.orders.map(data => ({ type: 'order', data })),
+      ...state.tickets.map(data => ({ type: 'ticket', data })),
+      ...state.waitlist.map(data => ({ type: 'waitlist', data })),
+      ...state.users.map(data => ({ type: 'user', data })),
+      ...Object.entries(state.settings).map(([key, value]) => ({ type: 'setting', data: { key, value } })),
+      ...state.adminActions.map(data => ({ type: 'admin-action', data })),
+      ...state.idempotencyKeys.map(data => ({ type: 'idempotency-key', data })),
+      ...state.audit.map(data => ({ type: 'audit', data }))
+    ].map(record => JSON.stringify(record) + '\n').join('');
+
+    // Write a sibling file and rename over the journal so a crash never leaves half a file
+    const tempFile = `${this.file}.tmp`;
+    const fd = fs.openSync(tempFile, 'w');
+    try {
+      fs.writeSync(fd, lines);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempFile, this.file);
+  }
+}
+
+// Pick a backend from the environment:
+//   SEAT_STORAGE=journal (default) | memory
+//   SEAT_JOURNAL_FILE=path to the journal (default data/seats.journal); instances sharing
+//                     a lock store each need their own (see server.js)
+function createStorage(env = process.env) {
+  const type = env.SEAT_STORAGE || 'journal';
+
+  if (type === 'memory') {
+    return new MemoryStorage();
+  }
+
+  if (type === 'journal') {
+    return new JournalStorage(env.SEAT_JOURNAL_FILE || path.join(__dirname, 'data', 'seats.journal'));
+  }
+
+  throw new Error(`Unknown SEAT_STORAGE "${type}". Use "journal" or "memory"`);
+}
+
+module.exports = { createStorage, MemoryStorage, JournalStorage };
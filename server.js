@@ -1,6 +1,28 @@
 // server.js
+const os = require('os');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
+const { createStorage } = require('./seat-storage');
+const { createLockStore, claimKeys } = require('./lock-store');
+const { createAuth, publicUser, ROLES } = require('./auth');
+const {
+  createSeatService,
+  SEAT_CATEGORIES,
+  CONFLICT_ERROR,
+  normalizeLayout,
+  validatePrices,
+  eventSummary,
+  filterSeats,
+  buildSeatMap,
+  findBestBlock
+} = require('./seat-service');
+const { createWaitlist } = require('./waitlist');
+const { createPaymentProvider } = require('./payments');
+const { createOrders } = require('./orders');
+const { createIdempotency } = require('./idempotency');
+const { createTickets } = require('./tickets');
+const { createAuditLog } = require('./audit-log');
 
 const app = express();
 const PORT = process.env.PORT || 8080;  // Changed to port 8080
@@ -20,187 +42,725 @@ const server = app.listen(PORT, () => {
 app.use(cors());
 app.use(express.json());
 
-// In-memory data structure for seats
-const seats = Array.from({ length: 50 }, (_, index) => ({
-  id: index + 1,
-  status: 'available', // available, locked, booked
-  lockedBy: null,
-  lockedAt: null,
-  bookedBy: null
-}));
-
-// Lock expiration time (1 minute)
-const LOCK_EXPIRATION_TIME = 60 * 1000; // 1 minute in milliseconds
-
-// Middleware to clean expired locks
-const cleanExpiredLocks = (req, res, next) => {
-  const currentTime = Date.now();
-  seats.forEach(seat => {
-    if (seat.status === 'locked' && currentTime - seat.lockedAt > LOCK_EXPIRATION_TIME) {
-      seat.status = 'available';
-      seat.lockedBy = null;
-      seat.lockedAt = null;
-    }
-  });
-  next();
+// Persistence backend (see seat-storage.js); every change below is written through it
+const storage = createStorage();
+
+// Seat state shared with other instances (see lock-store.js). Seats, venues and events
+// are shared (venue and event ids are handed out through the store); accounts, holds,
+// bookings, the waitlist and the audit log stay with the instance that made them, and
+// live updates (/api/stream), the waitlist and the audit log only see seat changes made
+// through this instance. So instances sharing a store must sit behind a load balancer
+// that keeps each user on one instance, and each needs its own SEAT_INSTANCE_ID and SEAT_JOURNAL_FILE, kept the
+// same across restarts - startup stops otherwise (see checkSharedSetup).
+const lockStore = createLockStore();
+const instanceId = process.env.SEAT_INSTANCE_ID || `${os.hostname()}:${PORT}`;
+
+// Helper: refuse to start an instance that would write another instance's journal or
+// take its id. The journal and the id are claimed for each other in the lock store.
+function checkSharedSetup() {
+  if (!process.env.SEAT_INSTANCE_ID) {
+    throw new Error('SEAT_LOCK_STORE is shared: set SEAT_INSTANCE_ID to an id unique to this instance');
+  }
+  if (!storage.file) return; // nothing saved, so no journal to collide on
+
+  if (!process.env.SEAT_JOURNAL_FILE) {
+    throw new Error('SEAT_LOCK_STORE is shared: set SEAT_JOURNAL_FILE to a journal only this instance writes');
+  }
+  const journal = path.resolve(storage.file);
+  const taken = claimKeys(lockStore, [
+    { key: `journal:${journal}`, owner: instanceId },
+    { key: `instance:${instanceId}`, owner: journal }
+  ]);
+  if (taken && taken.key.startsWith('journal:')) {
+    throw new Error(`Journal ${journal} belongs to instance ${taken.owner}. Give this instance its own SEAT_JOURNAL_FILE`);
+  }
+  if (taken) {
+    throw new Error(`Instance id ${instanceId} is already used with journal ${taken.owner}. Give this instance its own SEAT_INSTANCE_ID`);
+  }
+}
+
+if (lockStore.shared) {
+  checkSharedSetup();
+}
+
+// Registration, login and the requireAuth middleware (see auth.js); with a shared
+// lock store tokens are tied to this instance, whose accounts they name
+const auth = createAuth(storage, process.env.JWT_SECRET, lockStore.shared ? instanceId : null);
+const { requireAuth, requireRole } = auth;
+
+// Idempotency-Key replay for every mutating route (see idempotency.js)
+const idempotency = createIdempotency(storage);
+const { idempotent } = idempotency;
+
+// Runtime settings - admins can change these through /api/admin/settings
+const settings = {
+  lockExpirationTime: 60 * 1000, // lock TTL, 1 minute in milliseconds
+  cancellationCutoff: parseInt(process.env.CANCELLATION_CUTOFF) || 2 * 60 * 60 * 1000, // no customer cancellations in the last 2 hours before showtime
+  offerExpirationTime: parseInt(process.env.WAITLIST_OFFER_TIME) || 5 * 60 * 1000, // how long a waitlist offer holds a seat
+  maxLockExtensions: parseInt(process.env.MAX_LOCK_EXTENSIONS) || 2, // times a lock or hold may be renewed for another TTL
+  maxLockedSeats: parseInt(process.env.MAX_LOCKED_SEATS) || 8, // seats one user may have locked per event at a time
+  maxBookedSeats: parseInt(process.env.MAX_BOOKED_SEATS) || 10, // seats one user may book (or have locked) per event
+  paymentTimeout: parseInt(process.env.PAYMENT_TIMEOUT) || 10 * 1000 // how long checkout waits for the payment provider
 };
 
-app.use(cleanExpiredLocks);
+// Settings an admin has changed - only these are saved, so the environment and
+// defaults above still apply to the rest after a restart
+const changedSettings = {};
+
+// Venues, events, holds, bookings and the seat lock lifecycle (see seat-service.js)
+const seatService = createSeatService({ storage, lockStore, instanceId, settings });
+const {
+  venues,
+  events,
+  holds,
+  bookings,
+  seatEvents,
+  createVenue,
+  createEvent,
+  findVenue,
+  findEvent,
+  loadShared,
+  syncSeat,
+  syncEvent,
+  checkLockable,
+  checkUserLimits,
+  lockSeat,
+  releaseSeat,
+  blockSeat,
+  createHold,
+  cancelBooking,
+  cancellationDeadline,
+  scheduleLocks,
+  releaseExpiredLocks
+} = seatService;
+
+// Audit log (see audit-log.js) - subscribed first so it records transitions in the order they happen
+const auditLog = createAuditLog({ storage, findEvent, requireAuth, requireRole });
+seatEvents.on('change', auditLog.onSeatChange);
+
+// Record of every admin action: { id, at, actor: { id, username }, action, details }
+const adminActions = [];
+
+// Waitlist (see waitlist.js) - seats that come free are offered to queued users in turn
+const waitlist = createWaitlist({
+  storage,
+  findEvent,
+  settings,
+  requireAuth,
+  offerSeat: (seat, userId) => lockSeat(seat, userId, null, { ttl: settings.offerExpirationTime, reason: 'offered' }),
+  releaseSeat,
+  checkUserLimits,
+  idempotent
+});
+seatEvents.on('change', waitlist.onSeatChange);
+
+// Checkout (see orders.js) - seats are booked only once the payment provider authorizes the order
+const orders = createOrders({
+  storage,
+  seatService,
+  settings,
+  provider: createPaymentProvider(),
+  requireAuth,
+  idempotent
+});
+
+// Tickets (see tickets.js) - every booking gets a ticket with a signed code for check-in
+const tickets = createTickets({ storage, seatService, users: auth.users, requireAuth, requireRole, idempotent });
+seatEvents.on('change', tickets.onSeatChange);
+
+// Restore saved state, or set up the default venue and event on first run - unless
+// another instance sharing the lock store already has
+const savedState = storage.load();
+if (savedState) {
+  seatService.restore(savedState);
+  orders.restore(savedState.orders);
+  tickets.restore(savedState.tickets);
+  waitlist.restore(savedState.waitlist);
+  auth.restore(savedState.users);
+  Object.assign(settings, savedState.settings);
+  Object.assign(changedSettings, savedState.settings);
+  adminActions.push(...savedState.adminActions);
+  idempotency.restore(savedState.idempotencyKeys);
+  auditLog.restore(savedState.audit);
+  console.log(`Restored ${venues.length} venue(s), ${events.length} event(s) and ${holds.length} hold(s)`);
+} else if (!findEvent(1)) {
+  const mainHall = createVenue('Main Hall', normalizeLayout({
+    sections: [
+      { name: 'Stalls', rows: 4, seatsPerRow: 10, categoryOverrides: { A1: 'accessible', A2: 'accessible' } },
+      { name: 'Balcony', rows: 1, seatsPerRow: 10, category: 'premium' }
+    ]
+  }).layout);
+  createEvent(mainHall, 'Default Show', null);
+}
+
+// Admin account from ADMIN_USERNAME/ADMIN_PASSWORD, if set
+auth.ensureAdmin();
+
+// Default event - the original /api/seats routes work against it
+const defaultEvent = events[0];
+
+// Seats are brought in line with the shared lock store, locks that lapsed while the
+// server was down are released and the rest are scheduled to expire on time; then
+// the journal is compacted
+events.forEach(syncEvent);
+releaseExpiredLocks();
+scheduleLocks();
+storage.compact({
+  venues,
+  events,
+  holds,
+  bookings,
+  orders: orders.orders,
+  tickets: tickets.tickets,
+  waitlist: waitlist.entries,
+  users: auth.users,
+  settings: changedSettings,
+  adminActions,
+  idempotencyKeys: idempotency.liveRecords(),
+  audit: auditLog.entries
+});
+
+// ============================================
+// Authentication - /api/auth/register, /api/auth/login, /api/auth/me
+// ============================================
+
+app.use('/api/auth', auth.router);
+
+// ============================================
+// Venues and events
+// ============================================
+
+// GET /api/venues - Get all venues
+app.get('/api/venues', (req, res) => {
+  loadShared();
 
-// GET /api/seats - Get all seats and their status
-app.get('/api/seats', (req, res) => {
   res.json({
     success: true,
-    data: seats
+    data: venues
   });
 });
 
-// POST /api/seats/:id/lock - Lock a seat
-app.post('/api/seats/:id/lock', (req, res) => {
-  const seatId = parseInt(req.params.id);
-  const userId = req.body.userId; // Should be provided in request body
+// POST /api/venues - Create a venue with a sectioned layout (or a plain { rows, seatsPerRow }) (admin only)
+app.post('/api/venues', requireAuth, requireRole('admin'), idempotent, (req, res) => {
+  const { name, layout } = req.body;
 
-  if (!userId) {
+  if (!name || typeof name !== 'string') {
     return res.status(400).json({
       success: false,
-      message: 'User ID is required'
+      message: 'Venue name is required'
     });
   }
 
-  const seat = seats.find(s => s.id === seatId);
+  const result = normalizeLayout(layout);
+  if (result.error) {
+    return res.status(400).json({
+      success: false,
+      message: result.error
+    });
+  }
 
-  if (!seat) {
+  const venue = createVenue(name.trim(), result.layout);
+  recordAdminAction(req.user, 'create-venue', { venueId: venue.id, capacity: venue.capacity });
+
+  res.status(201).json({
+    success: true,
+    message: 'Venue created successfully',
+    data: venue
+  });
+});
+
+// GET /api/venues/:venueId - Get a venue
+app.get('/api/venues/:venueId', (req, res) => {
+  const venue = findVenue(parseInt(req.params.venueId));
+
+  if (!venue) {
     return res.status(404).json({
       success: false,
-      message: 'Seat not found'
+      message: 'Venue not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: venue
+  });
+});
+
+// GET /api/events - Get all events (optionally ?venueId=)
+app.get('/api/events', (req, res) => {
+  const venueId = req.query.venueId ? parseInt(req.query.venueId) : null;
+  loadShared();
+  const list = venueId ? events.filter(event => event.venueId === venueId) : events;
+
+  res.json({
+    success: true,
+    count: list.length,
+    data: list.map(eventSummary)
+  });
+});
+
+// POST /api/events - Create an event at a venue; it gets its own seat inventory (admin only)
+app.post('/api/events', requireAuth, requireRole('admin'), idempotent, (req, res) => {
+  const { venueId, name, startsAt, prices } = req.body;
+
+  if (!name || typeof name !== 'string') {
+    return res.status(400).json({
+      success: false,
+      message: 'Event name is required'
+    });
+  }
+
+  const venue = findVenue(parseInt(venueId));
+
+  if (!venue) {
+    return res.status(404).json({
+      success: false,
+      message: 'Venue not found'
+    });
+  }
+
+  if (startsAt !== undefined && isNaN(Date.parse(startsAt))) {
+    return res.status(400).json({
+      success: false,
+      message: 'startsAt must be a valid date'
     });
   }
 
-  if (seat.status !== 'available') {
+  const pricesError = validatePrices(prices);
+  if (pricesError) {
     return res.status(400).json({
       success: false,
-      message: `Seat is ${seat.status}. Cannot lock at this time.`
+      message: pricesError
     });
   }
 
-  seat.status = 'locked';
-  seat.lockedBy = userId;
-  seat.lockedAt = Date.now();
+  const event = createEvent(venue, name.trim(), startsAt ? new Date(startsAt).toISOString() : null, prices);
+  recordAdminAction(req.user, 'create-event', { eventId: event.id, venueId: venue.id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Event created successfully',
+    data: eventSummary(event)
+  });
+});
+
+// GET /api/events/:eventId - Get an event with availability counts
+app.get('/api/events/:eventId', (req, res) => {
+  const event = findEvent(parseInt(req.params.eventId));
+
+  if (!event) {
+    return res.status(404).json({
+      success: false,
+      message: 'Event not found'
+    });
+  }
 
   res.json({
     success: true,
-    message: 'Seat locked successfully',
-    data: seat
+    data: eventSummary(event)
   });
 });
 
-// POST /api/seats/:id/confirm - Confirm booking for a locked seat
-app.post('/api/seats/:id/confirm', (req, res) => {
-  const seatId = parseInt(req.params.id);
-  const userId = req.body.userId;
+// ============================================
+// Seat updates stream (Server-Sent Events)
+// ============================================
 
-  if (!userId) {
+// GET /api/stream - Push every seat change as it happens
+// Optional filters: ?eventId=2 and a seat range ?from=1&to=20
+app.get('/api/stream', (req, res) => {
+  const eventId = req.query.eventId !== undefined ? parseInt(req.query.eventId) : null;
+  const from = req.query.from !== undefined ? parseInt(req.query.from) : null;
+  const to = req.query.to !== undefined ? parseInt(req.query.to) : null;
+
+  if ([eventId, from, to].some(value => value !== null && isNaN(value))) {
     return res.status(400).json({
       success: false,
-      message: 'User ID is required'
+      message: 'eventId, from and to must be numbers'
     });
   }
 
-  const seat = seats.find(s => s.id === seatId);
+  if (eventId !== null && !findEvent(eventId)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Event not found'
+    });
+  }
 
-  if (!seat) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.write('retry: 3000\n\n');
+
+  const onChange = (change) => {
+    if (eventId !== null && change.eventId !== eventId) return;
+    if (from !== null && change.seatId < from) return;
+    if (to !== null && change.seatId > to) return;
+    res.write(`event: seat\ndata: ${JSON.stringify(change)}\n\n`);
+  };
+
+  // Comment line keeps proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+
+  seatEvents.on('change', onChange);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    seatEvents.off('change', onChange);
+  });
+});
+
+// ============================================
+// Seats - mounted per event at /api/events/:eventId/seats
+// and at /api/seats for the default event
+// ============================================
+
+const seatRouter = express.Router({ mergeParams: true });
+
+// Resolve the event whose seats this request works on. Seats are re-read from the lock
+// store only where they are used: the listings re-read the whole event, the other routes
+// just the seats they touch (seat-service.js syncs those it is handed).
+seatRouter.use((req, res, next) => {
+  const eventId = req.params.eventId ? parseInt(req.params.eventId) : defaultEvent.id;
+  const event = findEvent(eventId);
+
+  if (!event) {
     return res.status(404).json({
       success: false,
-      message: 'Seat not found'
+      message: 'Event not found'
     });
   }
 
-  if (seat.status !== 'locked') {
+  req.event = event;
+  next();
+});
+
+// GET /seats - Get all seats and their status (filters: section, row, category, minPrice, maxPrice)
+seatRouter.get('/', (req, res) => {
+  syncEvent(req.event);
+  const result = filterSeats(req.event.seats, req.query);
+
+  if (result.error) {
     return res.status(400).json({
       success: false,
-      message: 'Seat must be locked before confirming'
+      message: result.error
     });
   }
 
-  if (seat.lockedBy !== userId) {
-    return res.status(403).json({
+  res.json({
+    success: true,
+    data: result.seats
+  });
+});
+
+// GET /seats/map - Get the seat map as sections -> rows -> seats
+seatRouter.get('/map', (req, res) => {
+  syncEvent(req.event);
+  res.json({
+    success: true,
+    data: {
+      eventId: req.event.id,
+      prices: req.event.prices,
+      sections: buildSeatMap(req.event)
+    }
+  });
+});
+
+// POST /seats/holds - Lock several seats all-or-nothing under one hold
+seatRouter.post('/holds', requireAuth, idempotent, (req, res) => {
+  const { seatIds } = req.body;
+  const userId = req.user.id;
+
+  if (!Array.isArray(seatIds) || seatIds.length === 0) {
+    return res.status(400).json({
       success: false,
-      message: 'Seat is locked by another user'
+      message: 'seatIds must be a non-empty array'
     });
   }
 
-  // Check if lock has expired
-  if (Date.now() - seat.lockedAt > LOCK_EXPIRATION_TIME) {
-    seat.status = 'available';
-    seat.lockedBy = null;
-    seat.lockedAt = null;
+  const ids = seatIds.map(id => parseInt(id));
+  if (new Set(ids).size !== ids.length) {
     return res.status(400).json({
       success: false,
-      message: 'Lock has expired. Please lock the seat again'
+      message: 'seatIds must not contain duplicates'
     });
   }
 
-  seat.status = 'booked';
-  seat.bookedBy = userId;
-  seat.lockedBy = null;
-  seat.lockedAt = null;
+  // Check every seat before touching any, so a single conflict locks nothing
+  const seats = ids.map(id => req.event.seats.find(s => s.id === id));
+  seats.filter(Boolean).forEach(syncSeat);
+  const failures = ids
+    .map((id, i) => ({ seatId: id, error: checkLockable(seats[i]) }))
+    .filter(result => result.error);
+
+  if (failures.length > 0) {
+    const status = failures.some(f => f.error.status === 404) ? 404 : 400;
+    return res.status(status).json({
+      success: false,
+      message: 'Some seats cannot be locked. No seats were locked.',
+      errors: failures.map(f => ({ seatId: f.seatId, message: f.error.message }))
+    });
+  }
+
+  const limitError = checkUserLimits(req.event, userId, seats.length);
+  if (limitError) {
+    return res.status(limitError.status).json({
+      success: false,
+      message: limitError.message
+    });
+  }
+
+  const hold = createHold(req.event, userId, seats);
+
+  if (!hold) {
+    return res.status(409).json({
+      success: false,
+      message: 'Some seats were just taken. No seats were locked.'
+    });
+  }
 
   res.json({
     success: true,
-    message: 'Booking confirmed successfully',
-    data: seat
+    message: `${seats.length} seats locked successfully`,
+    data: { ...hold, expiresAt: hold.createdAt + settings.lockExpirationTime, seats }
   });
 });
 
-// POST /api/seats/:id/release - Release a locked seat
-app.post('/api/seats/:id/release', (req, res) => {
-  const seatId = parseInt(req.params.id);
-  const userId = req.body.userId;
+// POST /seats/best-available - Find and lock the best block of adjacent seats for a party
+seatRouter.post('/best-available', requireAuth, idempotent, (req, res) => {
+  const { partySize, category, section } = req.body;
+  const userId = req.user.id;
 
-  if (!userId) {
+  const size = Number(partySize);
+  if (!Number.isInteger(size) || size < 1) {
     return res.status(400).json({
       success: false,
-      message: 'User ID is required'
+      message: 'partySize must be a positive integer'
     });
   }
 
-  const seat = seats.find(s => s.id === seatId);
+  if (category !== undefined && !SEAT_CATEGORIES.includes(category)) {
+    return res.status(400).json({
+      success: false,
+      message: `Category must be one of ${SEAT_CATEGORIES.join(', ')}`
+    });
+  }
 
-  if (!seat) {
+  // Seats are re-read only once picked; if another instance took one, pick again
+  let block = findBestBlock(req.event.seats, size, { category, section });
+  while (block) {
+    block.forEach(syncSeat);
+    if (block.every(seat => seat.status === 'available')) break;
+    block = findBestBlock(req.event.seats, size, { category, section });
+  }
+
+  if (!block) {
+    return res.status(409).json({
+      success: false,
+      message: `No block of ${size} adjacent seats available`
+    });
+  }
+
+  const limitError = checkUserLimits(req.event, userId, size);
+  if (limitError) {
+    return res.status(limitError.status).json({
+      success: false,
+      message: limitError.message
+    });
+  }
+
+  const hold = createHold(req.event, userId, block);
+
+  if (!hold) {
+    return res.status(409).json({
+      success: false,
+      message: 'Those seats were just taken. Please try again'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `${block.length} adjacent seats locked successfully`,
+    data: { ...hold, expiresAt: hold.createdAt + settings.lockExpirationTime, seats: block }
+  });
+});
+
+// Middleware: resolve :holdId within the current event and check it belongs to the user
+function findHold(req, res, next) {
+  const hold = holds.find(h => h.id === parseInt(req.params.holdId) && h.eventId === req.event.id);
+
+  if (!hold) {
     return res.status(404).json({
       success: false,
-      message: 'Seat not found'
+      message: 'Hold not found'
     });
   }
 
-  if (seat.status !== 'locked') {
+  if (hold.userId !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      message: 'Hold belongs to another user'
+    });
+  }
+
+  if (hold.status !== 'active') {
     return res.status(400).json({
       success: false,
-      message: 'Seat is not locked'
+      message: `Hold is ${hold.status}`
     });
   }
 
-  if (seat.lockedBy !== userId) {
-    return res.status(403).json({
+  req.hold = hold;
+  next();
+}
+
+// POST /seats/holds/:holdId/confirm - Pay for the hold ({ paymentToken }) and book every seat in it
+seatRouter.post('/holds/:holdId/confirm', requireAuth, idempotent, findHold, (req, res, next) => {
+  const { hold } = req;
+
+  orders.checkout(req.event, req.user.id, { hold }, req.body.paymentToken).then(result => {
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${result.seats.length} seats booked successfully`,
+      data: { ...hold, seats: result.seats, bookings: result.bookings, order: result.order }
+    });
+  }).catch(next);
+});
+
+// POST /seats/holds/:holdId/extend - Restart the lock TTL on every seat in the hold
+seatRouter.post('/holds/:holdId/extend', requireAuth, idempotent, findHold, (req, res) => {
+  const { hold } = req;
+  const result = seatService.extendHold(hold);
+
+  if (result.error) {
+    return res.status(result.error.status).json({
+      success: false,
+      message: result.error.message
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Hold extended successfully',
+    data: {
+      ...hold,
+      expiresAt: seatService.lockExpiresAt(result.seats[0]),
+      extensionsLeft: settings.maxLockExtensions - result.seats[0].lockExtensions,
+      seats: result.seats
+    }
+  });
+});
+
+// POST /seats/holds/:holdId/release - Release every seat in the hold
+seatRouter.post('/holds/:holdId/release', requireAuth, idempotent, findHold, (req, res) => {
+  const { hold } = req;
+  const result = seatService.releaseHold(hold);
+
+  res.json({
+    success: true,
+    message: 'Hold released successfully',
+    data: { ...hold, seats: result.seats }
+  });
+});
+
+// POST /seats/:id/lock - Lock a seat
+seatRouter.post('/:id/lock', requireAuth, idempotent, (req, res) => {
+  const result = seatService.lock(req.event, parseInt(req.params.id), req.user.id);
+
+  if (result.error) {
+    return res.status(result.error.status).json({
+      success: false,
+      message: result.error.message
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Seat locked successfully',
+    data: result.seat
+  });
+});
+
+// POST /seats/:id/confirm - Pay ({ paymentToken }) and confirm booking for a locked seat
+seatRouter.post('/:id/confirm', requireAuth, idempotent, (req, res, next) => {
+  const seatIds = [parseInt(req.params.id)];
+
+  orders.checkout(req.event, req.user.id, { seatIds }, req.body.paymentToken).then(result => {
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Booking confirmed successfully',
+      data: { ...result.seats[0], order: result.order }
+    });
+  }).catch(next);
+});
+
+// POST /seats/:id/extend - Restart the lock TTL on a seat the user has locked
+seatRouter.post('/:id/extend', requireAuth, idempotent, (req, res) => {
+  const result = seatService.extend(req.event, parseInt(req.params.id), req.user.id);
+
+  if (result.error) {
+    return res.status(result.error.status).json({
       success: false,
-      message: 'Seat is locked by another user'
+      message: result.error.message
     });
   }
 
-  seat.status = 'available';
-  seat.lockedBy = null;
-  seat.lockedAt = null;
+  res.json({
+    success: true,
+    message: 'Lock extended successfully',
+    data: {
+      ...result.seat,
+      expiresAt: seatService.lockExpiresAt(result.seat),
+      extensionsLeft: settings.maxLockExtensions - result.seat.lockExtensions
+    }
+  });
+});
+
+// POST /seats/:id/release - Release a locked seat
+seatRouter.post('/:id/release', requireAuth, idempotent, (req, res) => {
+  const result = seatService.release(req.event, parseInt(req.params.id), req.user.id);
+
+  if (result.error) {
+    return res.status(result.error.status).json({
+      success: false,
+      message: result.error.message
+    });
+  }
 
   res.json({
     success: true,
     message: 'Seat released successfully',
-    data: seat
+    data: result.seat
   });
 });
 
-// GET /api/seats/available - Get all available seats
-app.get('/api/seats/available', (req, res) => {
-  const availableSeats = seats.filter(seat => seat.status === 'available');
+// GET /seats/available - Get all available seats (same filters as GET /seats)
+seatRouter.get('/available', (req, res) => {
+  syncEvent(req.event);
+  const result = filterSeats(req.event.seats, req.query);
+
+  if (result.error) {
+    return res.status(400).json({
+      success: false,
+      message: result.error
+    });
+  }
+
+  const availableSeats = result.seats.filter(seat => seat.status === 'available');
   res.json({
     success: true,
     count: availableSeats.length,
@@ -208,126 +768,542 @@ app.get('/api/seats/available', (req, res) => {
   });
 });
 
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
+app.use('/api/events/:eventId/seats', seatRouter);
+app.use('/api/seats', seatRouter);
+
+// ============================================
+// Bookings - customers see and cancel their own bookings
+// ============================================
+
+// Middleware: resolve :bookingId; only its owner or an admin may see it
+function findBooking(req, res, next) {
+  const booking = bookings.find(b => b.id === parseInt(req.params.bookingId));
+
+  if (!booking || (booking.userId !== req.user.id && req.user.role !== 'admin')) {
+    return res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    });
+  }
+
+  req.booking = booking;
+  next();
+}
+
+// GET /api/bookings - The signed-in user's bookings (optional ?status=confirmed|cancelled)
+app.get('/api/bookings', requireAuth, (req, res) => {
+  const mine = bookings.filter(b =>
+    b.userId === req.user.id && (!req.query.status || b.status === req.query.status)
+  );
+
+  res.json({
+    success: true,
+    count: mine.length,
+    data: mine
+  });
 });
 
-app.use(cors());
-app.use(express.json());
+// GET /api/bookings/:bookingId - One booking, with the deadline for cancelling it
+app.get('/api/bookings/:bookingId', requireAuth, findBooking, (req, res) => {
+  const event = findEvent(req.booking.eventId);
+  const deadline = event ? cancellationDeadline(event) : null;
 
-// Helper: clear lock timer safely
-function clearSeatTimer(seat) {
-  if (seat && seat.timeoutId) {
-    clearTimeout(seat.timeoutId);
-    seat.timeoutId = undefined;
+  res.json({
+    success: true,
+    data: { ...req.booking, cancellableUntil: deadline ? new Date(deadline).toISOString() : null }
+  });
+});
+
+// Helper: a cancellation message that says when the refund did not go through
+function refundMessage(message, refund) {
+  if (!refund || refund.status === 'refunded') return message;
+  return `${message}, but the refund ${refund.status === 'timeout' ? 'timed out' : 'failed'}. It is recorded on the order for follow-up`;
+}
+
+// POST /api/bookings/:bookingId/cancel - Cancel a booking before the cutoff and refund it; the seat goes back on sale
+app.post('/api/bookings/:bookingId/cancel', requireAuth, idempotent, findBooking, (req, res, next) => {
+  const { booking } = req;
+
+  if (booking.userId !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the customer who booked can cancel here'
+    });
   }
+
+  if (booking.status !== 'confirmed') {
+    return res.status(400).json({
+      success: false,
+      message: `Booking is already ${booking.status}`
+    });
+  }
+
+  const event = findEvent(booking.eventId);
+  const deadline = event ? cancellationDeadline(event) : null;
+
+  if (deadline !== null && Date.now() > deadline) {
+    return res.status(400).json({
+      success: false,
+      message: `Cancellations close ${Math.round(settings.cancellationCutoff / 60000)} minutes before the show`
+    });
+  }
+
+  const cancelled = cancelBooking(booking, req.user.id);
+  if (cancelled.error) {
+    return res.status(cancelled.error.status).json({
+      success: false,
+      message: cancelled.error.message
+    });
+  }
+
+  orders.refundBooking(booking).then(refund => {
+    res.json({
+      success: true,
+      message: refundMessage('Booking cancelled successfully', refund),
+      data: { ...booking, refund }
+    });
+  }).catch(next);
+});
+
+// ============================================
+// Orders - POST /api/events/:eventId/orders, POST /api/orders/:orderId/pay, GET /api/orders[/:orderId]
+// ============================================
+
+app.use('/api', orders.router);
+
+// ============================================
+// Seat history - GET /api/events/:eventId/seats/:id/history, GET /api/users/:userId/history
+// ============================================
+
+app.use('/api', auditLog.router);
+
+// ============================================
+// Tickets - GET /api/tickets[/:ticketId], POST /api/check-in
+// ============================================
+
+app.use('/api', tickets.router);
+
+// ============================================
+// Waitlist - POST /api/events/:eventId/waitlist, GET /api/waitlist, DELETE /api/waitlist/:entryId
+// ============================================
+
+app.use('/api', waitlist.router);
+
+// ============================================
+// Admin API - every route needs an admin token and is recorded in adminActions
+// (creating venues and events, above, is admin only too)
+// ============================================
+
+const adminRouter = express.Router();
+adminRouter.use(requireAuth, requireRole('admin'));
+
+// Helper: append an entry to the admin action log
+function recordAdminAction(user, action, details) {
+  const entry = {
+    id: adminActions.length + 1,
+    at: Date.now(),
+    actor: { id: user.id, username: user.username },
+    action,
+    details
+  };
+  adminActions.push(entry);
+  storage.save('admin-action', entry);
+  return entry;
 }
 
-// Helper: set auto-expiry for a locked seat
-function armSeatExpiry(seatId) {
-  const seat = seats[seatId];
-  clearSeatTimer(seat);
-  seat.timeoutId = setTimeout(() => {
-    // If still locked and past expiry, release it
-    const now = Date.now();
-    if (seats[seatId].status === 'locked' && seats[seatId].lockExpiresAt && seats[seatId].lockExpiresAt <= now) {
-      seats[seatId] = { status: 'available' };
-    }
-  }, LOCK_TTL + 50); // slight buffer to ensure time check
+// Middleware: resolve :eventId and :id to req.event and req.seat
+function findEventSeat(req, res, next) {
+  const event = findEvent(parseInt(req.params.eventId));
+
+  if (!event) {
+    return res.status(404).json({
+      success: false,
+      message: 'Event not found'
+    });
+  }
+
+  const seat = event.seats.find(s => s.id === parseInt(req.params.id));
+
+  if (!seat) {
+    return res.status(404).json({
+      success: false,
+      message: 'Seat not found'
+    });
+  }
+
+  syncSeat(seat);
+  req.event = event;
+  req.seat = seat;
+  next();
 }
 
-// GET /seats -> map of seatId -> status
-app.get('/seats', (_req, res) => {
-  // Return minimal public view
-  const view = {};
-  Object.entries(seats).forEach(([id, seat]) => {
-    view[id] = { status: seat.status };
+// GET /api/admin/actions - Admin action log, newest first (optional ?limit=)
+adminRouter.get('/actions', (req, res) => {
+  const limit = parseInt(req.query.limit) || adminActions.length;
+  res.json({
+    success: true,
+    count: adminActions.length,
+    data: adminActions.slice(-limit).reverse()
   });
-  res.status(200).json(view);
 });
 
-// POST /lock/:id?user=U123 -> lock seat for user for 1 minute
-app.post('/lock/:id', (req, res) => {
-  const id = Number(req.params.id);
-  const user = String(req.query.user || 'anonymous');
+// POST /api/admin/events/:eventId/seats/:id/release - Force-release a lock held by anyone
+adminRouter.post('/events/:eventId/seats/:id/release', idempotent, findEventSeat, (req, res) => {
+  const { seat } = req;
 
-  if (!seats[id]) {
-    return res.status(404).json({ message: `Seat ${id} does not exist.` });
+  if (seat.status !== 'locked') {
+    return res.status(400).json({
+      success: false,
+      message: 'Seat is not locked'
+    });
+  }
+
+  const lockedBy = seat.lockedBy;
+  if (!releaseSeat(seat, req.user.id, 'force-released')) {
+    return res.status(409).json({
+      success: false,
+      message: CONFLICT_ERROR.message
+    });
+  }
+  recordAdminAction(req.user, 'force-release', { eventId: req.event.id, seatId: seat.id, lockedBy });
+
+  res.json({
+    success: true,
+    message: 'Lock released by admin',
+    data: seat
+  });
+});
+
+// POST /api/admin/events/:eventId/seats/:id/cancel - Cancel and refund a booking and return the seat to sale
+adminRouter.post('/events/:eventId/seats/:id/cancel', idempotent, findEventSeat, (req, res, next) => {
+  const { seat } = req;
+
+  if (seat.status !== 'booked') {
+    return res.status(400).json({
+      success: false,
+      message: 'Seat is not booked'
+    });
+  }
+
+  // A booking made through another instance has no record here
+  const booking = seatService.isLocal(seat) ? bookings.find(b => b.id === seat.bookingId) : null;
+  const bookedBy = seat.bookedBy;
+  const cancelled = booking ? !cancelBooking(booking, req.user.id).error : releaseSeat(seat, req.user.id, 'cancelled');
+  if (!cancelled) {
+    return res.status(409).json({
+      success: false,
+      message: CONFLICT_ERROR.message
+    });
+  }
+
+  const refunded = booking ? orders.refundBooking(booking) : Promise.resolve(null);
+  refunded.then(refund => {
+    recordAdminAction(req.user, 'cancel-booking', {
+      eventId: req.event.id,
+      seatId: seat.id,
+      bookedBy,
+      bookingId: booking ? booking.id : null,
+      refund: refund ? refund.status : null
+    });
+
+    res.json({
+      success: true,
+      message: refundMessage('Booking cancelled by admin', refund),
+      data: seat
+    });
+  }).catch(next);
+});
+
+// POST /api/admin/events/:eventId/seats/:id/block - Block a seat for maintenance
+adminRouter.post('/events/:eventId/seats/:id/block', idempotent, findEventSeat, (req, res) => {
+  const { seat } = req;
+  const reason = req.body.reason || null;
+
+  if (seat.status === 'booked') {
+    return res.status(409).json({
+      success: false,
+      message: 'Seat is booked. Cancel the booking before blocking it'
+    });
+  }
+
+  if (seat.status === 'blocked') {
+    return res.status(400).json({
+      success: false,
+      message: 'Seat is already blocked'
+    });
   }
 
-  const seat = seats[id];
-  const now = Date.now();
+  const lockedBy = seat.lockedBy;
+  if (!blockSeat(seat, req.user.id)) {
+    return res.status(409).json({
+      success: false,
+      message: CONFLICT_ERROR.message
+    });
+  }
+  recordAdminAction(req.user, 'block-seat', { eventId: req.event.id, seatId: seat.id, reason, lockedBy });
 
-  // If locked but expired, release first
-  if (seat.status === 'locked' && seat.lockExpiresAt && seat.lockExpiresAt <= now) {
-    clearSeatTimer(seat);
-    seats[id] = { status: 'available' };
+  res.json({
+    success: true,
+    message: 'Seat blocked',
+    data: seat
+  });
+});
+
+// POST /api/admin/events/:eventId/seats/:id/unblock - Put a blocked seat back on sale
+adminRouter.post('/events/:eventId/seats/:id/unblock', idempotent, findEventSeat, (req, res) => {
+  const { seat } = req;
+
+  if (seat.status !== 'blocked') {
+    return res.status(400).json({
+      success: false,
+      message: 'Seat is not blocked'
+    });
   }
 
-  if (seats[id].status === 'booked') {
-    return res.status(409).json({ message: `Seat ${id} is already booked.` });
+  if (!releaseSeat(seat, req.user.id, 'unblocked')) {
+    return res.status(409).json({
+      success: false,
+      message: CONFLICT_ERROR.message
+    });
   }
+  recordAdminAction(req.user, 'unblock-seat', { eventId: req.event.id, seatId: seat.id });
 
-  if (seats[id].status === 'locked') {
-    return res.status(423).json({ message: `Seat ${id} is already locked. Try another seat.` });
+  res.json({
+    success: true,
+    message: 'Seat unblocked',
+    data: seat
+  });
+});
+
+// Helper: change a runtime setting and save it
+function setSetting(key, value) {
+  settings[key] = value;
+  changedSettings[key] = value;
+  storage.save('setting', { key, value });
+}
+
+// GET /api/admin/settings - Current runtime settings
+adminRouter.get('/settings', (req, res) => {
+  res.json({
+    success: true,
+    data: settings
+  });
+});
+
+// PUT /api/admin/settings/lock-ttl - Change how long a lock lasts, { lockExpirationTime: ms }
+// Applies to existing locks too, since expiry is checked against lockedAt.
+adminRouter.put('/settings/lock-ttl', idempotent, (req, res) => {
+  const value = Number(req.body.lockExpirationTime);
+
+  if (!Number.isInteger(value) || value < 1000) {
+    return res.status(400).json({
+      success: false,
+      message: 'lockExpirationTime must be an integer of at least 1000 (ms)'
+    });
   }
 
-  // Acquire lock
-  const lockExpiresAt = now + LOCK_TTL;
-  seats[id] = { status: 'locked', lockedBy: user, lockExpiresAt };
-  armSeatExpiry(id);
+  const previous = settings.lockExpirationTime;
+  setSetting('lockExpirationTime', value);
+  recordAdminAction(req.user, 'set-lock-ttl', { previous, value });
+  scheduleLocks(); // existing locks now lapse at their new deadlines
 
-  return res.status(200).json({ message: `Seat ${id} locked successfully. Confirm within 1 minute.` });
+  res.json({
+    success: true,
+    message: 'Lock TTL updated',
+    data: settings
+  });
 });
 
-// POST /confirm/:id?user=U123 -> confirm booking if locked by same user and not expired
-app.post('/confirm/:id', (req, res) => {
-  const id = Number(req.params.id);
-  const user = String(req.query.user || 'anonymous');
+// PUT /api/admin/settings/cancellation-cutoff - How long before showtime customers stop being able to cancel, { cancellationCutoff: ms }
+adminRouter.put('/settings/cancellation-cutoff', idempotent, (req, res) => {
+  const value = Number(req.body.cancellationCutoff);
 
-  if (!seats[id]) {
-    return res.status(404).json({ message: `Seat ${id} does not exist.` });
+  if (!Number.isInteger(value) || value < 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'cancellationCutoff must be a non-negative integer (ms)'
+    });
   }
 
-  const seat = seats[id];
-  const now = Date.now();
+  const previous = settings.cancellationCutoff;
+  setSetting('cancellationCutoff', value);
+  recordAdminAction(req.user, 'set-cancellation-cutoff', { previous, value });
 
-  if (seat.status !== 'locked') {
-    return res.status(400).json({ message: 'Seat is not locked and cannot be booked' });
+  res.json({
+    success: true,
+    message: 'Cancellation cutoff updated',
+    data: settings
+  });
+});
+
+// PUT /api/admin/settings/limits - Per-user caps, any of { maxLockExtensions, maxLockedSeats, maxBookedSeats }
+// New caps apply to the next lock or extension; seats already held are not released.
+adminRouter.put('/settings/limits', idempotent, (req, res) => {
+  const minimums = { maxLockExtensions: 0, maxLockedSeats: 1, maxBookedSeats: 1 };
+  const keys = Object.keys(minimums).filter(key => req.body[key] !== undefined);
+
+  if (keys.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Give at least one of ${Object.keys(minimums).join(', ')}`
+    });
   }
 
-  if (seat.lockExpiresAt && seat.lockExpiresAt <= now) {
-    clearSeatTimer(seat);
-    seats[id] = { status: 'available' };
-    return res.status(408).json({ message: 'Lock expired. Please lock the seat again.' });
+  const invalid = keys.find(key => !Number.isInteger(req.body[key]) || req.body[key] < minimums[key]);
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      message: `${invalid} must be an integer of at least ${minimums[invalid]}`
+    });
   }
 
-  if (seat.lockedBy !== user) {
-    return res.status(403).json({ message: 'Seat locked by another user.' });
+  const previous = {};
+  keys.forEach(key => {
+    previous[key] = settings[key];
+    setSetting(key, req.body[key]);
+  });
+  recordAdminAction(req.user, 'set-limits', { previous, values: Object.fromEntries(keys.map(key => [key, settings[key]])) });
+
+  res.json({
+    success: true,
+    message: 'Limits updated',
+    data: settings
+  });
+});
+
+// PUT /api/admin/users/:userId/role - Grant or revoke admin, { role: 'user' | 'admin' }
+adminRouter.put('/users/:userId/role', idempotent, (req, res) => {
+  const { role } = req.body;
+
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({
+      success: false,
+      message: `Role must be one of ${ROLES.join(', ')}`
+    });
+  }
+
+  const user = auth.users.find(u => u.id === parseInt(req.params.userId));
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const previous = user.role;
+  auth.setRole(user.id, role);
+  recordAdminAction(req.user, 'set-role', { userId: user.id, previous, role });
+
+  res.json({
+    success: true,
+    message: 'Role updated',
+    data: publicUser(user)
+  });
+});
+
+app.use('/api/admin', adminRouter);
+
+// ============================================
+// Legacy routes - /seats, /lock/:id, /confirm/:id and /unlock/:id
+// A compatibility layer over the default event's seats: same state and lock
+// lifecycle as /api/seats, with the original plain { message } responses and codes
+// (404 unknown seat, 409 booked, 423 locked, 408 lock expired, 403 someone else's lock).
+// /confirm/:id goes through checkout like /api/seats/:id/confirm, so a declined payment is a 402.
+// ============================================
+
+// Helper: seat service error -> legacy status code and message
+function legacyError(id, error) {
+  const seat = seatService.findSeat(defaultEvent, id);
+
+  if (error.code === 'not-found') {
+    return { status: 404, message: `Seat ${id} does not exist.` };
+  }
+  if (error.code === 'unavailable' && seat.status === 'booked') {
+    return { status: 409, message: `Seat ${id} is already booked.` };
+  }
+  if (error.code === 'unavailable' && seat.status === 'locked') {
+    return { status: 423, message: `Seat ${id} is already locked. Try another seat.` };
+  }
+  if (error.code === 'unavailable') {
+    return { status: 409, message: `Seat ${id} is ${seat.status}.` };
   }
+  if (error.code === 'not-locked') {
+    return { status: 400, message: 'Seat is not locked and cannot be booked' };
+  }
+  if (error.code === 'expired') {
+    return { status: 408, message: 'Lock expired. Please lock the seat again.' };
+  }
+  if (error.code === 'not-owner') {
+    return { status: 403, message: 'Seat locked by another user.' };
+  }
+  return { status: error.status, message: error.message };
+}
 
-  // Confirm booking
-  clearSeatTimer(seat);
-  seats[id] = { status: 'booked' };
-  return res.status(200).json({ message: `Seat ${id} booked successfully!` });
+// GET /seats -> map of seatId -> status
+app.get('/seats', (_req, res) => {
+  // Return minimal public view
+  const view = {};
+  syncEvent(defaultEvent);
+  defaultEvent.seats.forEach(seat => {
+    view[seat.id] = { status: seat.status };
+  });
+  res.status(200).json(view);
 });
 
-// Optional: unlock an active lock (admin/debug)
+// POST /lock/:id -> lock seat for the signed-in user for the lock TTL
+app.post('/lock/:id', requireAuth, idempotent, (req, res) => {
+  const id = Number(req.params.id);
+  const result = seatService.lock(defaultEvent, id, req.user.id);
+
+  if (result.error) {
+    const error = legacyError(id, result.error);
+    return res.status(error.status).json({ message: error.message });
+  }
+
+  const seconds = Math.round(settings.lockExpirationTime / 1000);
+  return res.status(200).json({
+    message: `Seat ${id} locked successfully. Confirm within ${seconds} seconds.`,
+    lockExpiresAt: seatService.lockExpiresAt(result.seat)
+  });
+});
+
+// POST /confirm/:id -> pay and confirm booking if locked by the signed-in user and not expired
+app.post('/confirm/:id', requireAuth, idempotent, (req, res, next) => {
+  const id = Number(req.params.id);
+
+  orders.checkout(defaultEvent, req.user.id, { seatIds: [id] }, req.body.paymentToken).then(result => {
+    if (result.error) {
+      const error = legacyError(id, result.error);
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    return res.status(200).json({ message: `Seat ${id} booked successfully!` });
+  }).catch(next);
+});
+
+// Unlock an active lock (admin only) - same as POST /api/admin/events/:eventId/seats/:id/release
 // POST /unlock/:id
-app.post('/unlock/:id', (req, res) => {
+app.post('/unlock/:id', requireAuth, requireRole('admin'), idempotent, (req, res) => {
   const id = Number(req.params.id);
-  if (!seats[id]) {
+  const seat = seatService.findSeat(defaultEvent, id);
+
+  if (!seat) {
     return res.status(404).json({ message: `Seat ${id} does not exist.` });
   }
-  const seat = seats[id];
+  syncSeat(seat);
   if (seat.status === 'available') {
     return res.status(200).json({ message: `Seat ${id} already available.` });
   }
-  if (seat.status === 'booked') {
-    return res.status(409).json({ message: `Seat ${id} is booked; cannot unlock.` });
+  if (seat.status !== 'locked') {
+    return res.status(409).json({ message: `Seat ${id} is ${seat.status}; cannot unlock.` });
+  }
+
+  const lockedBy = seat.lockedBy;
+  if (!releaseSeat(seat, req.user.id, 'force-released')) {
+    return res.status(409).json({ message: `Seat ${id} was just changed; try again.` });
   }
-  clearSeatTimer(seat);
-  seats[id] = { status: 'available' };
+  recordAdminAction(req.user, 'force-release', { eventId: defaultEvent.id, seatId: id, lockedBy });
   return res.status(200).json({ message: `Seat ${id} lock cleared.` });
 });
 
@@ -0,0 +1,657 @@
+// test-api.js - Tests for the /api seat booking routes in server.js
+const BASE_URL = 'http://localhost:8080';
+
+// Helper function to make HTTP requests
+async function makeRequest(method, url, body = null, token = null) {
+  const options = {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+  };
+
+  if (token) {
+    options.headers.Authorization = `Bearer ${token}`;
+  }
+
+  if (body) {
+    options.body = JSON.stringify(body);
+  }
+
+  try {
+    const response = await fetch(url, options);
+    const data = await response.json();
+    return { status: response.status, data };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// Helper: register a test user (or log in if it already exists) and return a token
+const tokens = {};
+async function tokenFor(username) {
+  if (!tokens[username]) {
+    const credentials = { username, password: `${username}-password` };
+    let result = await makeRequest('POST', `${BASE_URL}/api/auth/register`, credentials);
+    if (result.status === 409) {
+      result = await makeRequest('POST', `${BASE_URL}/api/auth/login`, credentials);
+    }
+    tokens[username] = result.data?.data?.token;
+  }
+  return tokens[username];
+}
+
+// Helper: log in as the admin from ADMIN_USERNAME/ADMIN_PASSWORD and return a token
+let adminTokenCache = null;
+async function getAdminToken() {
+  if (!adminTokenCache) {
+    const login = await makeRequest('POST', `${BASE_URL}/api/auth/login`, {
+      username: process.env.ADMIN_USERNAME || 'admin',
+      password: process.env.ADMIN_PASSWORD || 'admin-password'
+    });
+    adminTokenCache = login.data?.data?.token;
+  }
+  return adminTokenCache;
+}
+
+// Authentication: seat changes need a valid token
+async function testAuth() {
+  console.log('\n🔑 Testing authentication...');
+
+  const anonymous = await makeRequest('POST', `${BASE_URL}/api/seats/1/lock`);
+  console.log('Lock without token - Status:', anonymous.status, anonymous.data?.message);
+
+  const forged = await makeRequest('POST', `${BASE_URL}/api/seats/1/lock`, null, 'not.a.token');
+  console.log('Lock with forged token - Status:', forged.status, forged.data?.message);
+
+  const badLogin = await makeRequest('POST', `${BASE_URL}/api/auth/login`, { username: 'user1', password: 'wrong-password' });
+  console.log('Login with wrong password - Status:', badLogin.status, badLogin.data?.message);
+
+  const me = await makeRequest('GET', `${BASE_URL}/api/auth/me`, null, await tokenFor('user1'));
+  console.log('Who am I - Status:', me.status, me.data?.data?.username);
+}
+
+// Venues and events: two shows at the same venue keep separate seat inventories
+async function testEvents() {
+  console.log('\n🏛️ Testing venues and events...');
+
+  const venue = await makeRequest('POST', `${BASE_URL}/api/venues`, {
+    name: 'Screen 2',
+    layout: { rows: 4, seatsPerRow: 8 }
+  }, await getAdminToken());
+  console.log('Create venue - Status:', venue.status, 'capacity:', venue.data?.data?.capacity);
+
+  const venueId = venue.data?.data?.id;
+  const matinee = await makeRequest('POST', `${BASE_URL}/api/events`, { venueId, name: 'Matinee', startsAt: '2030-01-01T14:00:00Z' }, await getAdminToken());
+  const evening = await makeRequest('POST', `${BASE_URL}/api/events`, { venueId, name: 'Evening', startsAt: '2030-01-01T20:00:00Z' }, await getAdminToken());
+  console.log('Create events - Status:', matinee.status, evening.status);
+
+  const matineeId = matinee.data?.data?.id;
+  const eveningId = evening.data?.data?.id;
+
+  const lock = await makeRequest('POST', `${BASE_URL}/api/events/${matineeId}/seats/1/lock`, null, await tokenFor('user1'));
+  console.log('Lock seat 1 for matinee - Status:', lock.status, lock.data?.message);
+
+  const other = await makeRequest('POST', `${BASE_URL}/api/events/${eveningId}/seats/1/lock`, null, await tokenFor('user2'));
+  console.log('Lock seat 1 for evening (should succeed) - Status:', other.status, other.data?.message);
+
+  const confirm = await makeRequest('POST', `${BASE_URL}/api/events/${matineeId}/seats/1/confirm`, null, await tokenFor('user1'));
+  console.log('Confirm matinee seat 1 - Status:', confirm.status, confirm.data?.message);
+
+  const available = await makeRequest('GET', `${BASE_URL}/api/events/${matineeId}/seats/available`);
+  console.log('Matinee available seats:', available.data?.count);
+
+  // Error cases
+  const missingEvent = await makeRequest('POST', `${BASE_URL}/api/events/999/seats/1/lock`, null, await tokenFor('user1'));
+  console.log('Unknown event - Status:', missingEvent.status, missingEvent.data?.message);
+
+  const anonymousVenue = await makeRequest('POST', `${BASE_URL}/api/venues`, { name: 'Pirate', layout: { rows: 1, seatsPerRow: 1 } });
+  console.log('Create venue without token - Status:', anonymousVenue.status, anonymousVenue.data?.message);
+
+  const customerEvent = await makeRequest('POST', `${BASE_URL}/api/events`, { venueId, name: 'Pop-up' }, await tokenFor('user1'));
+  console.log('Create event as a customer - Status:', customerEvent.status, customerEvent.data?.message);
+
+  const badLayout = await makeRequest('POST', `${BASE_URL}/api/venues`, { name: 'Broken', layout: { rows: 0 } }, await getAdminToken());
+  console.log('Invalid layout - Status:', badLayout.status, badLayout.data?.message);
+
+  const hugeLayout = await makeRequest('POST', `${BASE_URL}/api/venues`, {
+    name: 'Stadium',
+    layout: { sections: [{ name: 'North', rows: 100, seatsPerRow: 200 }, { name: 'South', rows: 100, seatsPerRow: 200 }] }
+  }, await getAdminToken());
+  console.log('Oversized layout - Status:', hugeLayout.status, hugeLayout.data?.message);
+}
+
+// Seat map, categories and price filters
+async function testSeatMap() {
+  console.log('\n🗺️ Testing seat map and filters...');
+
+  const venue = await makeRequest('POST', `${BASE_URL}/api/venues`, {
+    name: 'Concert Hall',
+    layout: {
+      sections: [
+        { name: 'Stalls', rows: 3, seatsPerRow: 6, categoryOverrides: { A: 'premium', C1: 'accessible' } },
+        { name: 'Circle', rows: 2, seatsPerRow: 4, category: 'premium' }
+      ]
+    }
+  }, await getAdminToken());
+  console.log('Create sectioned venue - Status:', venue.status, 'capacity:', venue.data?.data?.capacity);
+
+  const event = await makeRequest('POST', `${BASE_URL}/api/events`, {
+    venueId: venue.data?.data?.id,
+    name: 'Gala',
+    prices: { premium: 45, standard: 25 }
+  }, await getAdminToken());
+  const eventId = event.data?.data?.id;
+  console.log('Create event with prices - Status:', event.status, event.data?.data?.prices);
+
+  const map = await makeRequest('GET', `${BASE_URL}/api/events/${eventId}/seats/map`);
+  map.data?.data?.sections?.forEach(section => {
+    section.rows.forEach(row => {
+      const line = row.seats.map(seat => seat.category[0].toUpperCase()).join(' ');
+      console.log(`  ${section.name.padEnd(8)} ${row.row}: ${line}`);
+    });
+  });
+
+  const premium = await makeRequest('GET', `${BASE_URL}/api/events/${eventId}/seats/available?category=premium`);
+  console.log('Available premium seats:', premium.data?.count);
+
+  const cheap = await makeRequest('GET', `${BASE_URL}/api/events/${eventId}/seats?maxPrice=30&section=stalls&row=b`);
+  console.log('Stalls row B under 30:', cheap.data?.data?.length);
+
+  const badCategory = await makeRequest('GET', `${BASE_URL}/api/events/${eventId}/seats?category=vip`);
+  console.log('Unknown category - Status:', badCategory.status, badCategory.data?.message);
+}
+
+// Group bookings: a hold locks every seat or none
+async function testGroupHold() {
+  console.log('\n👪 Testing group holds...');
+
+  const blocker = await makeRequest('POST', `${BASE_URL}/api/seats/14/lock`, null, await tokenFor('other'));
+  console.log('Another user locks seat 14 - Status:', blocker.status);
+
+  const conflict = await makeRequest('POST', `${BASE_URL}/api/seats/holds`, { seatIds: [11, 12, 13, 14] }, await tokenFor('family'));
+  console.log('Hold 11-14 (should fail) - Status:', conflict.status, conflict.data?.message, conflict.data?.errors);
+
+  const seat11 = await makeRequest('GET', `${BASE_URL}/api/seats?row=B&section=Stalls`);
+  console.log('Seat 11 still available:', seat11.data?.data?.find(seat => seat.id === 11)?.status);
+
+  const hold = await makeRequest('POST', `${BASE_URL}/api/seats/holds`, { seatIds: [15, 16, 17, 18] }, await tokenFor('family'));
+  console.log('Hold 15-18 - Status:', hold.status, hold.data?.message);
+  const holdId = hold.data?.data?.id;
+
+  const single = await makeRequest('POST', `${BASE_URL}/api/seats/15/confirm`, null, await tokenFor('family'));
+  console.log('Confirm one seat of the hold (should fail) - Status:', single.status, single.data?.message);
+
+  const wrongUser = await makeRequest('POST', `${BASE_URL}/api/seats/holds/${holdId}/confirm`, null, await tokenFor('other'));
+  console.log('Confirm hold as another user - Status:', wrongUser.status, wrongUser.data?.message);
+
+  const confirm = await makeRequest('POST', `${BASE_URL}/api/seats/holds/${holdId}/confirm`, null, await tokenFor('family'));
+  console.log('Confirm hold - Status:', confirm.status, confirm.data?.message);
+
+  const again = await makeRequest('POST', `${BASE_URL}/api/seats/holds/${holdId}/release`, null, await tokenFor('family'));
+  console.log('Release confirmed hold - Status:', again.status, again.data?.message);
+}
+
+// Best-available allocation for a party
+async function testBestAvailable() {
+  console.log('\n🎯 Testing best-available allocation...');
+
+  const party = await makeRequest('POST', `${BASE_URL}/api/seats/best-available`, { partySize: 4 }, await tokenFor('party1'));
+  console.log('Party of 4 - Status:', party.status, party.data?.data?.seats?.map(seat => `${seat.section} ${seat.row}${seat.number}`));
+
+  const premium = await makeRequest('POST', `${BASE_URL}/api/seats/best-available`, { partySize: 3, category: 'premium' }, await tokenFor('party2'));
+  console.log('Party of 3 premium - Status:', premium.status, premium.data?.data?.seats?.map(seat => `${seat.section} ${seat.row}${seat.number}`));
+
+  const tooBig = await makeRequest('POST', `${BASE_URL}/api/seats/best-available`, { partySize: 20 }, await tokenFor('party3'));
+  console.log('Party of 20 - Status:', tooBig.status, tooBig.data?.message);
+
+  const release = await makeRequest('POST', `${BASE_URL}/api/seats/holds/${party.data?.data?.id}/release`, null, await tokenFor('party1'));
+  console.log('Release party hold - Status:', release.status);
+}
+
+// Admin API - start the server with ADMIN_USERNAME=admin ADMIN_PASSWORD=admin-password
+async function testAdmin() {
+  console.log('\n🛡️ Testing admin API...');
+
+  const login = await makeRequest('POST', `${BASE_URL}/api/auth/login`, {
+    username: process.env.ADMIN_USERNAME || 'admin',
+    password: process.env.ADMIN_PASSWORD || 'admin-password'
+  });
+  const adminToken = login.data?.data?.token;
+  console.log('Admin login - Status:', login.status, login.data?.data?.user?.role);
+
+  const notAdmin = await makeRequest('POST', `${BASE_URL}/api/admin/events/1/seats/20/block`, {}, await tokenFor('user1'));
+  console.log('Block as regular user - Status:', notAdmin.status, notAdmin.data?.message);
+
+  const legacyUnlock = await makeRequest('POST', `${BASE_URL}/unlock/20`, null, await tokenFor('user1'));
+  console.log('Legacy /unlock as regular user - Status:', legacyUnlock.status, legacyUnlock.data?.message);
+
+  await makeRequest('POST', `${BASE_URL}/api/seats/21/lock`, null, await tokenFor('user2'));
+  const forceRelease = await makeRequest('POST', `${BASE_URL}/api/admin/events/1/seats/21/release`, {}, adminToken);
+  console.log('Force-release seat 21 - Status:', forceRelease.status, forceRelease.data?.message);
+
+  const block = await makeRequest('POST', `${BASE_URL}/api/admin/events/1/seats/20/block`, { reason: 'Broken armrest' }, adminToken);
+  console.log('Block seat 20 - Status:', block.status, block.data?.data?.status);
+
+  const lockBlocked = await makeRequest('POST', `${BASE_URL}/api/seats/20/lock`, null, await tokenFor('user1'));
+  console.log('Lock blocked seat - Status:', lockBlocked.status, lockBlocked.data?.message);
+
+  const unblock = await makeRequest('POST', `${BASE_URL}/api/admin/events/1/seats/20/unblock`, {}, adminToken);
+  console.log('Unblock seat 20 - Status:', unblock.status, unblock.data?.data?.status);
+
+  await makeRequest('POST', `${BASE_URL}/api/seats/22/lock`, null, await tokenFor('user2'));
+  await makeRequest('POST', `${BASE_URL}/api/seats/22/confirm`, null, await tokenFor('user2'));
+  const cancel = await makeRequest('POST', `${BASE_URL}/api/admin/events/1/seats/22/cancel`, {}, adminToken);
+  console.log('Cancel booking on seat 22 - Status:', cancel.status, cancel.data?.data?.status);
+
+  const ttl = await makeRequest('PUT', `${BASE_URL}/api/admin/settings/lock-ttl`, { lockExpirationTime: 90000 }, adminToken);
+  console.log('Set lock TTL to 90s - Status:', ttl.status, ttl.data?.data);
+
+  const actions = await makeRequest('GET', `${BASE_URL}/api/admin/actions?limit=5`, null, adminToken);
+  actions.data?.data?.forEach(entry => {
+    console.log(`  ${new Date(entry.at).toISOString()} ${entry.actor.username} ${entry.action}`, entry.details);
+  });
+}
+
+// Customer cancellation with a cutoff before showtime
+async function testCancellation() {
+  console.log('\n↩️ Testing booking cancellation...');
+
+  const venue = await makeRequest('POST', `${BASE_URL}/api/venues`, { name: 'Studio', layout: { rows: 1, seatsPerRow: 4 } }, await getAdminToken());
+  const venueId = venue.data?.data?.id;
+  const later = await makeRequest('POST', `${BASE_URL}/api/events`, { venueId, name: 'Next week', startsAt: new Date(Date.now() + 7 * 86400000).toISOString() }, await getAdminToken());
+  const soon = await makeRequest('POST', `${BASE_URL}/api/events`, { venueId, name: 'Starting soon', startsAt: new Date(Date.now() + 30 * 60000).toISOString() }, await getAdminToken());
+
+  const token = await tokenFor('user1');
+  for (const event of [later, soon]) {
+    await makeRequest('POST', `${BASE_URL}/api/events/${event.data?.data?.id}/seats/1/lock`, null, token);
+    await makeRequest('POST', `${BASE_URL}/api/events/${event.data?.data?.id}/seats/1/confirm`, null, token);
+  }
+
+  const mine = await makeRequest('GET', `${BASE_URL}/api/bookings?status=confirmed`, null, token);
+  const laterBooking = mine.data?.data?.find(b => b.eventId === later.data?.data?.id);
+  const soonBooking = mine.data?.data?.find(b => b.eventId === soon.data?.data?.id);
+  console.log('My confirmed bookings:', mine.data?.count);
+
+  const someoneElse = await makeRequest('POST', `${BASE_URL}/api/bookings/${laterBooking?.id}/cancel`, null, await tokenFor('user2'));
+  console.log('Cancel another user\'s booking - Status:', someoneElse.status, someoneElse.data?.message);
+
+  const cancel = await makeRequest('POST', `${BASE_URL}/api/bookings/${laterBooking?.id}/cancel`, null, token);
+  console.log('Cancel next week\'s booking - Status:', cancel.status, cancel.data?.data?.status, 'refund:', cancel.data?.data?.refundAmount);
+
+  const seat = await makeRequest('GET', `${BASE_URL}/api/events/${later.data?.data?.id}/seats/available`);
+  console.log('Seat 1 back on sale:', seat.data?.data?.some(s => s.id === 1));
+
+  const tooLate = await makeRequest('POST', `${BASE_URL}/api/bookings/${soonBooking?.id}/cancel`, null, token);
+  console.log('Cancel 30 minutes before the show - Status:', tooLate.status, tooLate.data?.message);
+}
+
+// Waitlist: a released seat is offered to the next user in line
+async function testWaitlist() {
+  console.log('\n⏳ Testing waitlist...');
+
+  const venue = await makeRequest('POST', `${BASE_URL}/api/venues`, { name: 'Booth', layout: { rows: 1, seatsPerRow: 1 } }, await getAdminToken());
+  const event = await makeRequest('POST', `${BASE_URL}/api/events`, { venueId: venue.data?.data?.id, name: 'Sold out' }, await getAdminToken());
+  const eventId = event.data?.data?.id;
+
+  await makeRequest('POST', `${BASE_URL}/api/events/${eventId}/seats/1/lock`, null, await tokenFor('user1'));
+
+  const first = await makeRequest('POST', `${BASE_URL}/api/events/${eventId}/waitlist`, {}, await tokenFor('user2'));
+  const second = await makeRequest('POST', `${BASE_URL}/api/events/${eventId}/waitlist`, { seatIds: [1] }, await tokenFor('other'));
+  console.log('Join waitlist - Status:', first.status, 'position', first.data?.data?.position, '/', second.status, 'position', second.data?.data?.position);
+
+  await makeRequest('POST', `${BASE_URL}/api/events/${eventId}/seats/1/release`, null, await tokenFor('user1'));
+  const seat = await makeRequest('GET', `${BASE_URL}/api/events/${eventId}/seats`);
+  console.log('After release, seat 1 is', seat.data?.data?.[0]?.status, 'for user', seat.data?.data?.[0]?.lockedBy);
+
+  const grab = await makeRequest('POST', `${BASE_URL}/api/events/${eventId}/seats/1/lock`, null, await tokenFor('user1'));
+  console.log('Someone else tries to lock it - Status:', grab.status, grab.data?.message);
+
+  const offer = await makeRequest('GET', `${BASE_URL}/api/waitlist`, null, await tokenFor('user2'));
+  const entry = offer.data?.data?.find(e => e.eventId === eventId);
+  console.log('user2 sees offer:', entry?.status, entry?.offer);
+
+  const decline = await makeRequest('DELETE', `${BASE_URL}/api/waitlist/${entry?.id}`, null, await tokenFor('user2'));
+  console.log('user2 leaves the waitlist - Status:', decline.status);
+
+  const next = await makeRequest('GET', `${BASE_URL}/api/waitlist`, null, await tokenFor('other'));
+  console.log('Offer passed down the queue:', next.data?.data?.find(e => e.eventId === eventId)?.status);
+
+  const claim = await makeRequest('POST', `${BASE_URL}/api/events/${eventId}/seats/1/confirm`, null, await tokenFor('other'));
+  console.log('Next user claims the seat - Status:', claim.status, claim.data?.message);
+
+  // A user at their lock limit (8 seats by default) is passed over for the next in line
+  const row = await makeRequest('POST', `${BASE_URL}/api/venues`, { name: 'Long row', layout: { rows: 1, seatsPerRow: 9 } }, await getAdminToken());
+  const show = await makeRequest('POST', `${BASE_URL}/api/events`, { venueId: row.data?.data?.id, name: 'Full house' }, await getAdminToken());
+  const showId = show.data?.data?.id;
+  await makeRequest('POST', `${BASE_URL}/api/events/${showId}/seats/holds`, { seatIds: [1, 2, 3, 4, 5, 6, 7, 8] }, await tokenFor('collector'));
+  await makeRequest('POST', `${BASE_URL}/api/events/${showId}/seats/9/lock`, null, await tokenFor('user1'));
+  await makeRequest('POST', `${BASE_URL}/api/events/${showId}/waitlist`, {}, await tokenFor('collector'));
+  await makeRequest('POST', `${BASE_URL}/api/events/${showId}/waitlist`, {}, await tokenFor('user2'));
+  await makeRequest('POST', `${BASE_URL}/api/events/${showId}/seats/9/release`, null, await tokenFor('user1'));
+
+  const seat9 = await makeRequest('GET', `${BASE_URL}/api/events/${showId}/seats`);
+  const user2 = await makeRequest('GET', `${BASE_URL}/api/auth/me`, null, await tokenFor('user2'));
+  const collector = await makeRequest('GET', `${BASE_URL}/api/waitlist`, null, await tokenFor('collector'));
+  console.log('User at the lock limit is skipped - offered to user2:', seat9.data?.data?.[8]?.lockedBy === user2.data?.data?.id,
+    '/ collector still', collector.data?.data?.find(e => e.eventId === showId)?.status);
+}
+
+// Lock extensions and per-user caps (defaults: 2 extensions, 8 locked and 10 booked seats per event)
+async function testLimits() {
+  console.log('\n🚦 Testing lock extensions and per-user limits...');
+
+  const venue = await makeRequest('POST', `${BASE_URL}/api/venues`, { name: 'Arena', layout: { rows: 2, seatsPerRow: 10 } }, await getAdminToken());
+  const event = await makeRequest('POST', `${BASE_URL}/api/events`, { venueId: venue.data?.data?.id, name: 'Big night' }, await getAdminToken());
+  const seatsUrl = `${BASE_URL}/api/events/${event.data?.data?.id}/seats`;
+  const token = await tokenFor('bot1');
+
+  await makeRequest('POST', `${seatsUrl}/1/lock`, null, token);
+  for (let i = 1; i <= 3; i++) {
+    const extend = await makeRequest('POST', `${seatsUrl}/1/extend`, null, token);
+    console.log(`Extend lock #${i} - Status:`, extend.status, extend.data?.data?.extensionsLeft ?? extend.data?.message);
+  }
+
+  const notMine = await makeRequest('POST', `${seatsUrl}/1/extend`, null, await tokenFor('user2'));
+  console.log('Extend someone else\'s lock - Status:', notMine.status, notMine.data?.message);
+
+  const hold = await makeRequest('POST', `${seatsUrl}/holds`, { seatIds: [2, 3, 4] }, token);
+  const extendHold = await makeRequest('POST', `${seatsUrl}/holds/${hold.data?.data?.id}/extend`, null, token);
+  console.log('Extend hold - Status:', extendHold.status, extendHold.data?.data?.extensionsLeft);
+
+  // Seats 1-4 are locked; the lock cap is 8
+  const tooMany = await makeRequest('POST', `${seatsUrl}/holds`, { seatIds: [5, 6, 7, 8, 9] }, token);
+  console.log('Hold 5 more seats (should fail) - Status:', tooMany.status, tooMany.data?.message);
+
+  let lastLock;
+  for (let id = 5; id <= 9; id++) {
+    lastLock = await makeRequest('POST', `${seatsUrl}/${id}/lock`, null, token);
+  }
+  console.log('Lock seats one by one past the cap - Status:', lastLock.status, lastLock.data?.message);
+
+  const party = await makeRequest('POST', `${seatsUrl}/best-available`, { partySize: 4 }, await tokenFor('user2'));
+  console.log('Another user is not affected - Status:', party.status);
+}
+
+// Checkout with the mock payment provider - start the server with PAYMENT_TIMEOUT=2000
+// so the timeout case does not wait the default 10 seconds
+async function testCheckout() {
+  console.log('\n💳 Testing checkout and payments...');
+
+  const venue = await makeRequest('POST', `${BASE_URL}/api/venues`, { name: 'Box office', layout: { rows: 1, seatsPerRow: 6 } }, await getAdminToken());
+  const event = await makeRequest('POST', `${BASE_URL}/api/events`, { venueId: venue.data?.data?.id, name: 'Paid show', prices: { standard: 30 } }, await getAdminToken());
+  const eventId = event.data?.data?.id;
+  const seatsUrl = `${BASE_URL}/api/events/${eventId}/seats`;
+  const token = await tokenFor('buyer1');
+
+  await makeRequest('POST', `${seatsUrl}/1/lock`, null, token);
+  const declined = await makeRequest('POST', `${seatsUrl}/1/confirm`, { paymentToken: 'mock-decline' }, token);
+  console.log('Confirm with a declined card - Status:', declined.status, declined.data?.message);
+  const seat1 = await makeRequest('GET', `${seatsUrl}?row=A`);
+  console.log('Seat 1 after decline:', seat1.data?.data?.[0]?.status);
+
+  await makeRequest('POST', `${seatsUrl}/2/lock`, null, token);
+  await makeRequest('POST', `${seatsUrl}/3/lock`, null, token);
+  const order = await makeRequest('POST', `${BASE_URL}/api/events/${eventId}/orders`, { seatIds: [2, 3] }, token);
+  console.log('Create order - Status:', order.status, order.data?.data?.status, 'amount:', order.data?.data?.amount);
+
+  const othersOrder = await makeRequest('POST', `${BASE_URL}/api/orders/${order.data?.data?.id}/pay`, { paymentToken: 'mock-success' }, await tokenFor('user2'));
+  console.log('Pay someone else\'s order - Status:', othersOrder.status, othersOrder.data?.message);
+
+  const paid = await makeRequest('POST', `${BASE_URL}/api/orders/${order.data?.data?.id}/pay`, { paymentToken: 'mock-success' }, token);
+  console.log('Pay order - Status:', paid.status, paid.data?.data?.status, paid.data?.data?.payment?.authorizationId);
+
+  const again = await makeRequest('POST', `${BASE_URL}/api/orders/${order.data?.data?.id}/pay`, { paymentToken: 'mock-success' }, token);
+  console.log('Pay it twice - Status:', again.status, again.data?.message);
+
+  const hold = await makeRequest('POST', `${seatsUrl}/holds`, { seatIds: [4, 5] }, token);
+  const timeout = await makeRequest('POST', `${seatsUrl}/holds/${hold.data?.data?.id}/confirm`, { paymentToken: 'mock-timeout' }, token);
+  console.log('Confirm hold, provider times out - Status:', timeout.status, timeout.data?.message);
+
+  const mine = await makeRequest('GET', `${BASE_URL}/api/orders`, null, token);
+  mine.data?.data?.forEach(o => console.log(`  order ${o.id}: ${o.status} ${o.failureReason || ''}`));
+
+  // Cancelling a paid booking refunds its price through the provider
+  const [firstBooking, secondBooking] = paid.data?.data?.bookings || [];
+  const cancelFirst = await makeRequest('POST', `${BASE_URL}/api/bookings/${firstBooking?.id}/cancel`, null, token);
+  console.log('Cancel one paid seat - Status:', cancelFirst.status, cancelFirst.data?.data?.refund?.status, cancelFirst.data?.data?.refund?.amount);
+  const partly = await makeRequest('GET', `${BASE_URL}/api/orders/${order.data?.data?.id}`, null, token);
+  console.log('Order after one refund:', partly.data?.data?.status, 'refunded', partly.data?.data?.refundedAmount, 'of', partly.data?.data?.amount);
+
+  await makeRequest('POST', `${BASE_URL}/api/bookings/${secondBooking?.id}/cancel`, null, token);
+  const refunded = await makeRequest('GET', `${BASE_URL}/api/orders/${order.data?.data?.id}`, null, token);
+  console.log('Order after both refunds:', refunded.data?.data?.status, refunded.data?.data?.refunds?.map(r => r.refundId));
+}
+
+// Idempotency-Key: a retried request gets the first response back instead of running again
+async function testIdempotency() {
+  console.log('\n🔁 Testing Idempotency-Key...');
+
+  const venue = await makeRequest('POST', `${BASE_URL}/api/venues`, { name: 'Retry room', layout: { rows: 1, seatsPerRow: 4 } }, await getAdminToken());
+  const event = await makeRequest('POST', `${BASE_URL}/api/events`, { venueId: venue.data?.data?.id, name: 'Flaky network' }, await getAdminToken());
+  const seatsUrl = `${BASE_URL}/api/events/${event.data?.data?.id}/seats`;
+  const token = await tokenFor('mobile1');
+  const withKey = (key) => ({ Authorization: `Bearer ${token}`, 'Idempotency-Key': key });
+
+  const lock = await fetch(`${seatsUrl}/1/lock`, { method: 'POST', headers: withKey('lock-1') });
+  const lockRetry = await fetch(`${seatsUrl}/1/lock`, { method: 'POST', headers: withKey('lock-1') });
+  console.log('Lock, then retry - Status:', lock.status, lockRetry.status, 'replayed:', lockRetry.headers.get('idempotency-replayed'));
+
+  const confirm = await fetch(`${seatsUrl}/1/confirm`, { method: 'POST', headers: withKey('confirm-1') });
+  const confirmRetry = await fetch(`${seatsUrl}/1/confirm`, { method: 'POST', headers: withKey('confirm-1') });
+  console.log('Confirm, then retry - Status:', confirm.status, confirmRetry.status, (await confirmRetry.json()).message);
+
+  const reused = await fetch(`${seatsUrl}/2/lock`, { method: 'POST', headers: withKey('lock-1') });
+  console.log('Same key for another seat - Status:', reused.status, (await reused.json()).message);
+
+  const bookings = await makeRequest('GET', `${BASE_URL}/api/bookings`, null, token);
+  console.log('Bookings made:', bookings.data?.count);
+
+  // Retries of the other mutating routes replay the first answer too
+  const adminToken = await getAdminToken();
+  const asAdmin = (key) => ({ Authorization: `Bearer ${adminToken}`, 'Content-Type': 'application/json', 'Idempotency-Key': key });
+  const tickets = await makeRequest('GET', `${BASE_URL}/api/tickets?eventId=${event.data?.data?.id}`, null, token);
+  const checkInBody = JSON.stringify({ code: tickets.data?.data?.[0]?.code });
+  const checkIn = await fetch(`${BASE_URL}/api/check-in`, { method: 'POST', headers: asAdmin('check-in-1'), body: checkInBody });
+  const checkInRetry = await fetch(`${BASE_URL}/api/check-in`, { method: 'POST', headers: asAdmin('check-in-1'), body: checkInBody });
+  console.log('Check in, then retry - Status:', checkIn.status, checkInRetry.status, 'replayed:', checkInRetry.headers.get('idempotency-replayed'));
+
+  const cancelUrl = `${BASE_URL}/api/bookings/${bookings.data?.data?.[0]?.id}/cancel`;
+  const cancel = await fetch(cancelUrl, { method: 'POST', headers: withKey('cancel-1') });
+  const cancelRetry = await fetch(cancelUrl, { method: 'POST', headers: withKey('cancel-1') });
+  console.log('Cancel booking, then retry - Status:', cancel.status, cancelRetry.status, (await cancelRetry.json()).message);
+
+  const blockUrl = `${BASE_URL}/api/admin/events/${event.data?.data?.id}/seats/3/block`;
+  const block = await fetch(blockUrl, { method: 'POST', headers: asAdmin('block-3'), body: '{}' });
+  const blockRetry = await fetch(blockUrl, { method: 'POST', headers: asAdmin('block-3'), body: '{}' });
+  console.log('Block seat, then retry - Status:', block.status, blockRetry.status, 'replayed:', blockRetry.headers.get('idempotency-replayed'));
+}
+
+// Tickets: issued on confirm, checked in once at the door
+async function testTickets() {
+  console.log('\n🎟️ Testing tickets and check-in...');
+
+  const venue = await makeRequest('POST', `${BASE_URL}/api/venues`, { name: 'Cinema 3', layout: { rows: 1, seatsPerRow: 4 } }, await getAdminToken());
+  const event = await makeRequest('POST', `${BASE_URL}/api/events`, { venueId: venue.data?.data?.id, name: 'Premiere' }, await getAdminToken());
+  const eventId = event.data?.data?.id;
+  const seatsUrl = `${BASE_URL}/api/events/${eventId}/seats`;
+  const token = await tokenFor('fan1');
+
+  for (const id of [1, 2]) {
+    await makeRequest('POST', `${seatsUrl}/${id}/lock`, null, token);
+    await makeRequest('POST', `${seatsUrl}/${id}/confirm`, null, token);
+  }
+  const mine = await makeRequest('GET', `${BASE_URL}/api/tickets?eventId=${eventId}`, null, token);
+  const [first, second] = mine.data?.data || [];
+  console.log('Tickets issued:', mine.data?.count, first?.id, first?.seat);
+
+  const adminToken = await getAdminToken();
+
+  const checkIn = await makeRequest('POST', `${BASE_URL}/api/check-in`, { code: first?.code, eventId }, adminToken);
+  console.log('Check in - Status:', checkIn.status, checkIn.data?.data?.status);
+
+  const twice = await makeRequest('POST', `${BASE_URL}/api/check-in`, { code: first?.code, eventId }, adminToken);
+  console.log('Check in again - Status:', twice.status, twice.data?.message);
+
+  const forged = first?.code.replace(/.$/, c => (c === 'A' ? 'B' : 'A'));
+  const forgery = await makeRequest('POST', `${BASE_URL}/api/check-in`, { code: forged }, adminToken);
+  console.log('Forged code - Status:', forgery.status, forgery.data?.message);
+
+  const wrongShow = await makeRequest('POST', `${BASE_URL}/api/check-in`, { code: second?.code, eventId: 1 }, adminToken);
+  console.log('Ticket for another show - Status:', wrongShow.status, wrongShow.data?.message);
+
+  const bookings = await makeRequest('GET', `${BASE_URL}/api/bookings?status=confirmed`, null, token);
+  const secondBooking = bookings.data?.data?.find(b => b.id === second?.bookingId);
+  await makeRequest('POST', `${BASE_URL}/api/bookings/${secondBooking?.id}/cancel`, null, token);
+  const cancelled = await makeRequest('POST', `${BASE_URL}/api/check-in`, { code: second?.code }, adminToken);
+  console.log('Cancelled ticket - Status:', cancelled.status, cancelled.data?.message);
+
+  const notStaff = await makeRequest('POST', `${BASE_URL}/api/check-in`, { code: second?.code }, token);
+  console.log('Check in as a customer - Status:', notStaff.status);
+}
+
+// Seat history: every transition is logged, including automatic expiry
+async function testHistory() {
+  console.log('\n📜 Testing seat history...');
+
+  const venue = await makeRequest('POST', `${BASE_URL}/api/venues`, { name: 'Courtroom', layout: { rows: 1, seatsPerRow: 2 } }, await getAdminToken());
+  const event = await makeRequest('POST', `${BASE_URL}/api/events`, { venueId: venue.data?.data?.id, name: 'Disputed seat' }, await getAdminToken());
+  const eventId = event.data?.data?.id;
+  const seatsUrl = `${BASE_URL}/api/events/${eventId}/seats`;
+  const token = await tokenFor('disputer1');
+  const adminToken = await getAdminToken();
+
+  await makeRequest('POST', `${seatsUrl}/1/lock`, null, token);
+  await makeRequest('POST', `${BASE_URL}/api/admin/events/${eventId}/seats/1/release`, {}, adminToken);
+  await makeRequest('POST', `${seatsUrl}/1/lock`, null, await tokenFor('user2'));
+  await makeRequest('POST', `${seatsUrl}/1/confirm`, null, await tokenFor('user2'));
+
+  const history = await makeRequest('GET', `${seatsUrl}/1/history`, null, adminToken);
+  console.log('Seat 1 history - Status:', history.status);
+  history.data?.data?.forEach(entry => {
+    console.log(`  ${entry.previousStatus} -> ${entry.status} (${entry.reason}) by ${entry.actor} for user ${entry.userId}`);
+  });
+
+  const asCustomer = await makeRequest('GET', `${seatsUrl}/1/history`, null, token);
+  console.log('Seat history as a customer - Status:', asCustomer.status);
+
+  const me = await makeRequest('GET', `${BASE_URL}/api/auth/me`, null, token);
+  const mine = await makeRequest('GET', `${BASE_URL}/api/users/${me.data?.data?.id}/history?limit=2`, null, token);
+  console.log('My history - Status:', mine.status, mine.data?.data?.map(entry => entry.reason));
+
+  const others = await makeRequest('GET', `${BASE_URL}/api/users/1/history`, null, token);
+  console.log('Someone else\'s history - Status:', others.status);
+}
+
+// Helper: subscribe to /api/stream and collect every seat change until stop() is called
+async function openStream(query) {
+  const controller = new AbortController();
+  const response = await fetch(`${BASE_URL}/api/stream?${query}`, { signal: controller.signal });
+  const changes = [];
+
+  const reading = (async () => {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    try {
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const messages = buffer.split('\n\n');
+        buffer = messages.pop();
+        messages.forEach(message => {
+          const data = message.split('\n').find(line => line.startsWith('data: '));
+          if (message.startsWith('event: seat') && data) changes.push(JSON.parse(data.slice(6)));
+        });
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') throw error;
+    }
+  })();
+
+  return {
+    status: response.status,
+    changes,
+    stop: async () => {
+      await new Promise(resolve => setTimeout(resolve, 200)); // let the last changes arrive
+      controller.abort();
+      await reading;
+    }
+  };
+}
+
+async function testStream() {
+  console.log('\n📡 Testing seat updates stream...');
+
+  const venue = await makeRequest('POST', `${BASE_URL}/api/venues`, { name: 'Broadcast hall', layout: { rows: 1, seatsPerRow: 4 } }, await getAdminToken());
+  const watched = await makeRequest('POST', `${BASE_URL}/api/events`, { venueId: venue.data?.data?.id, name: 'Watched show' }, await getAdminToken());
+  const other = await makeRequest('POST', `${BASE_URL}/api/events`, { venueId: venue.data?.data?.id, name: 'Other show' }, await getAdminToken());
+  const eventId = watched.data?.data?.id;
+  const seatsUrl = `${BASE_URL}/api/events/${eventId}/seats`;
+  const token = await tokenFor('viewer1');
+
+  const unknown = await makeRequest('GET', `${BASE_URL}/api/stream?eventId=9999`);
+  console.log('Stream for an unknown event - Status:', unknown.status, unknown.data?.message);
+
+  const stream = await openStream(`eventId=${eventId}&from=1&to=2`);
+  console.log('Subscribe to seats 1-2 - Status:', stream.status);
+
+  await makeRequest('POST', `${seatsUrl}/1/lock`, null, token);
+  await makeRequest('POST', `${seatsUrl}/3/lock`, null, token);
+  await makeRequest('POST', `${BASE_URL}/api/events/${other.data?.data?.id}/seats/1/lock`, null, token);
+  await makeRequest('POST', `${seatsUrl}/1/release`, null, token);
+  await stream.stop();
+
+  console.log('Changes received:', stream.changes.map(change => `${change.eventId}/${change.seatId} ${change.previousStatus} -> ${change.status}`));
+  const outside = stream.changes.filter(change => change.eventId !== eventId || change.seatId > 2);
+  console.log('Changes outside the filter (should be 0):', outside.length);
+}
+
+async function testExpiry() {
+  console.log('\n⏰ Testing scheduled lock expiry...');
+
+  const venue = await makeRequest('POST', `${BASE_URL}/api/venues`, { name: 'Hourglass', layout: { rows: 1, seatsPerRow: 2 } }, await getAdminToken());
+  const event = await makeRequest('POST', `${BASE_URL}/api/events`, { venueId: venue.data?.data?.id, name: 'Short fuse' }, await getAdminToken());
+  const eventId = event.data?.data?.id;
+  const seatsUrl = `${BASE_URL}/api/events/${eventId}/seats`;
+  const adminToken = await getAdminToken();
+
+  await makeRequest('PUT', `${BASE_URL}/api/admin/settings/lock-ttl`, { lockExpirationTime: 1000 }, adminToken);
+  const lock = await makeRequest('POST', `${seatsUrl}/1/lock`, null, await tokenFor('sleeper1'));
+  console.log('Lock with a 1s TTL - Status:', lock.status);
+
+  // No requests while the lock runs out; the scheduler releases it on its own
+  await new Promise(resolve => setTimeout(resolve, 1500));
+
+  const history = await makeRequest('GET', `${seatsUrl}/1/history`, null, adminToken);
+  const last = history.data?.data?.slice(-1)[0];
+  console.log('After 1.5s idle:', last && `${last.previousStatus} -> ${last.status} (${last.reason}) by ${last.actor}`);
+
+  await makeRequest('PUT', `${BASE_URL}/api/admin/settings/lock-ttl`, { lockExpirationTime: 60000 }, adminToken);
+}
+
+// Main test runner
+async function runAllTests() {
+  console.log('🚀 Starting Seat Booking API Tests\n');
+  console.log('Make sure server.js is running on http://localhost:8080\n');
+
+  try {
+    await testAuth();
+    await testEvents();
+    await testSeatMap();
+    await testGroupHold();
+    await testBestAvailable();
+    await testAdmin();
+    await testCancellation();
+    await testWaitlist();
+    await testLimits();
+    await testCheckout();
+    await testIdempotency();
+    await testTickets();
+    await testHistory();
+    await testStream();
+    await testExpiry();
+
+    console.log('\n✅ API tests completed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+  }
+}
+
+runAllTests();
@@ -1,4 +1,5 @@
 // test-cards.js - Comprehensive test suite for Card API
+// Start the API first with: node card-server.js
 const BASE_URL = 'http://localhost:3000';
 
 // Helper function to make HTTP requests
@@ -139,6 +140,41 @@ async function testResetDeck() {
   return result;
 }
 
+async function testDeckOperations() {
+  console.log('\n🎴 Testing deck operations');
+
+  // Same seed twice should give the same order
+  await makeRequest('DELETE', `${BASE_URL}/decks/seeded-a`);
+  await makeRequest('DELETE', `${BASE_URL}/decks/seeded-b`);
+  const deckA = await makeRequest('POST', `${BASE_URL}/decks`, { name: 'seeded-a', seed: 'table-42' });
+  const deckB = await makeRequest('POST', `${BASE_URL}/decks`, { name: 'seeded-b', seed: 'table-42' });
+  console.log(`Create decks - Status: ${deckA.status}/${deckB.status}, remaining: ${deckA.data?.remaining}`);
+
+  const drawA = await makeRequest('POST', `${BASE_URL}/decks/seeded-a/draw`, { count: 5 });
+  const drawB = await makeRequest('POST', `${BASE_URL}/decks/seeded-b/draw`, { count: 5 });
+  const idsA = drawA.data?.cards?.map(card => card.id).join(',');
+  const idsB = drawB.data?.cards?.map(card => card.id).join(',');
+  console.log(`Draw 5 - Status: ${drawA.status}, same order for same seed: ${idsA === idsB}`);
+
+  const deal = await makeRequest('POST', `${BASE_URL}/decks/seeded-a/deal`, { players: ['alice', 'bob'], count: 3 });
+  console.log(`Deal 3 to 2 players - Status: ${deal.status}, remaining: ${deal.data?.remaining}`);
+
+  const toDiscard = deal.data?.hands?.alice?.map(card => card.id) || [];
+  const discard = await makeRequest('POST', `${BASE_URL}/decks/seeded-a/discard`, { cardIds: toDiscard });
+  console.log(`Discard alice's hand - Status: ${discard.status}, discard pile: ${discard.data?.discard}`);
+
+  const back = await makeRequest('POST', `${BASE_URL}/decks/seeded-a/discard/return`, { shuffle: true });
+  console.log(`Return discard pile - Status: ${back.status}, Message: ${back.data?.message}`);
+
+  // Error cases
+  const tooMany = await makeRequest('POST', `${BASE_URL}/decks/seeded-a/draw`, { count: 100 });
+  console.log(`Draw too many - Status: ${tooMany.status}, Message: ${tooMany.data?.message}`);
+  const duplicate = await makeRequest('POST', `${BASE_URL}/decks`, { name: 'seeded-a' });
+  console.log(`Duplicate deck - Status: ${duplicate.status}, Message: ${duplicate.data?.message}`);
+  const missing = await makeRequest('POST', `${BASE_URL}/decks/no-such-deck/shuffle`);
+  console.log(`Unknown deck - Status: ${missing.status}, Message: ${missing.data?.message}`);
+}
+
 // Main test suite
 async function runAllTests() {
   console.log('🚀 Starting Playing Card API Tests');
@@ -185,6 +221,8 @@ if (args.includes('--reset')) {
   testResetDeck();
 } else if (args.includes('--validation')) {
   testValidation();
+} else if (args.includes('--decks')) {
+  testDeckOperations();
 } else {
   runAllTests();
 }
\ No newline at end of file
@@ -0,0 +1,259 @@
+// test-employees.js - Checks for the employee management CLI and the modules behind it
+// Runs on its own in a temporary directory: node test-employees.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { EmployeeStore } = require('./employee-store');
+const { Employee, parseField } = require('./employee-model');
+const { queryEmployees } = require('./employee-query');
+const { readImportFile, importRecords, exportEmployees } = require('./employee-transfer');
+
+// Helper: run one CLI command against a data file, returns { status, stdout, stderr }
+function cli(dataFile, ...args) {
+  const result = spawnSync(process.execPath, [path.join(__dirname, 'employee-management.js'), ...args], {
+    env: { ...process.env, EMPLOYEE_DATA_FILE: dataFile },
+    encoding: 'utf8',
+    timeout: 10000
+  });
+  return { status: result.status, stdout: result.stdout.trim(), stderr: result.stderr.trim() };
+}
+
+// Helper: the error a store load throws, or 'loaded'
+function loadError(store) {
+  try {
+    store.load();
+    return 'loaded';
+  } catch (err) {
+    return err.message;
+  }
+}
+
+const STAFF = [
+  new Employee({ id: 'E10', name: 'Ada Lovelace', department: 'Engineering', jobTitle: 'Engineer', salary: 120000 }),
+  new Employee({ id: 'E2', name: 'Grace Hopper', department: 'engineering', jobTitle: 'Manager', salary: 150000 }),
+  new Employee({ id: 'E3', name: 'Alan Turing', department: 'Research', jobTitle: 'Engineer', status: 'terminated' }),
+  new Employee({ id: 'E1', name: 'Adele Goldberg', department: 'Research', jobTitle: 'Manager', salary: 90000 })
+];
+
+function testStore(dir) {
+  console.log('\n💾 Testing the data file...');
+  const file = path.join(dir, 'store', 'employees.json');
+  const store = new EmployeeStore(file);
+
+  console.log('Missing file loads as:', store.load());
+  store.save([{ id: 'E1', name: 'Ada Lovelace' }, { id: 'E2', name: 'Grace Hopper' }]);
+  console.log('Saved and loaded back:', store.load().map(emp => emp.id), 'files:', fs.readdirSync(path.dirname(file)));
+
+  // A save that fails part way must leave the old data alone
+  try {
+    store.save([{ id: 'E3', name: 'Alan Turing', salary: 10n }]);
+    console.log('Save that cannot finish - Result: saved (should have failed)');
+  } catch (err) {
+    console.log('Save that cannot finish - Result:', err.message);
+    console.log('  still on file:', store.load().map(emp => emp.id), 'files:', fs.readdirSync(path.dirname(file)));
+  }
+
+  fs.writeFileSync(file, '[{"id": "E1", "name": "Ada"');
+  console.log('Truncated file:', loadError(store));
+  fs.writeFileSync(file, '{"id": "E1"}');
+  console.log('Not a list:', loadError(store));
+  fs.writeFileSync(file, '[{"id": "E1", "name": "Ada"}, {"id": "E1", "name": "Grace"}]');
+  console.log('Duplicate ID:', loadError(store));
+  fs.writeFileSync(file, '[{"id": "E1", "name": " "}]');
+  console.log('Blank name:', loadError(store));
+}
+
+// Saves from separate processes at once must each finish and leave one whole file
+async function testConcurrentSaves(dir) {
+  console.log('\n👥 Testing saves side by side...');
+  const file = path.join(dir, 'concurrent', 'employees.json');
+  const save = n => new Promise(resolve => {
+    const code = `new (require('./employee-store').EmployeeStore)(${JSON.stringify(file)}).save([{ id: 'E${n}', name: 'Worker ${n}' }])`;
+    spawn(process.execPath, ['-e', code], { cwd: __dirname, stdio: 'ignore' }).on('exit', resolve);
+  });
+
+  const codes = await Promise.all(Array.from({ length: 12 }, (_, n) => save(n + 1)));
+  console.log('12 saves - Failed:', codes.filter(code => code !== 0).length,
+    'on file:', new EmployeeStore(file).load().length, 'record(s)', 'files:', fs.readdirSync(path.dirname(file)));
+}
+
+function testValidation() {
+  console.log('\n🔎 Testing field validation...');
+  const check = (key, text, self) => {
+    const result = parseField(key, text, STAFF, self);
+    return result.error || result.value;
+  };
+
+  console.log('Empty name:', check('name', '  '));
+  console.log('Taken ID:', check('id', 'E2'));
+  console.log('Own ID when editing:', check('id', 'E2', STAFF[1]));
+  console.log('Bad email:', check('email', 'ada@example'));
+  console.log('February 30th:', check('hireDate', '2024-02-30'));
+  console.log('Negative salary:', check('salary', '-5'));
+  console.log('Salary "52000.50":', check('salary', '52000.50'));
+  console.log('Status "Terminated":', check('status', 'Terminated'));
+  console.log('Blank status:', check('status', ''));
+  console.log('Unknown manager:', check('managerId', 'E99'));
+  console.log('Own manager:', check('managerId', 'E10', STAFF[0]));
+
+  // E2 reports to E10, so E10 cannot report to E2
+  const team = STAFF.map(emp => new Employee({ ...emp, managerId: emp.id === 'E2' ? 'E10' : null }));
+  console.log('Manager loop:', parseField('managerId', 'E2', team, team[0]).error);
+}
+
+function testQuery() {
+  console.log('\n📋 Testing search, filters, sorting and paging...');
+  const ids = options => {
+    const result = queryEmployees(STAFF, options);
+    return result.error || result.employees.map(emp => emp.id);
+  };
+
+  console.log('Name "ad":', ids({ name: 'ad' }));
+  console.log('Department "ENGINEERING":', ids({ department: 'ENGINEERING' }));
+  console.log('Role manager, active:', ids({ role: 'manager', status: 'active' }));
+  console.log('Sort by ID:', ids({ sortBy: 'id' }));
+  console.log('Sort by salary desc (blank last):', ids({ sortBy: 'salary', order: 'desc' }));
+  console.log('Page 2 of 2 per page:', ids({ sortBy: 'id', page: 2, pageSize: 2 }));
+
+  const pastEnd = queryEmployees(STAFF, { page: 3, pageSize: 2 });
+  console.log('Page 3 of 2:', pastEnd.error, 'pastEnd:', pastEnd.pastEnd);
+  console.log('Unknown sort field:', ids({ sortBy: 'shoeSize' }));
+  console.log('Page 0:', ids({ page: 0 }));
+}
+
+function testCommands(dir) {
+  console.log('\n⌨️  Testing subcommands and exit codes...');
+  const file = path.join(dir, 'commands.json');
+
+  const add = cli(file, 'add', '--name', 'Ada Lovelace', '--id', 'E1', '--department', 'Engineering');
+  console.log('Add - Exit:', add.status, add.stdout);
+  const duplicate = cli(file, 'add', '--name', 'Someone', '--id', 'E1');
+  console.log('Add a taken ID - Exit:', duplicate.status, duplicate.stderr);
+  const update = cli(file, 'update', '--id', 'E1', '--job-title', 'Engineer', '--format', 'json');
+  console.log('Update - Exit:', update.status, JSON.parse(update.stdout || '{}').jobTitle);
+  const unknown = cli(file, 'update', '--id', 'E404', '--department', 'Sales');
+  console.log('Update an unknown ID - Exit:', unknown.status, unknown.stderr);
+  const badFlag = cli(file, 'list', '--colour', 'red');
+  console.log('Unknown flag - Exit:', badFlag.status, badFlag.stderr.split('\n')[0]);
+  const noValue = cli(file, 'add', '--name', 'Nobody');
+  console.log('Missing --id - Exit:', noValue.status, noValue.stderr.split('\n')[0]);
+  const badCommand = cli(file, 'fire', '--id', 'E1');
+  console.log('Unknown command - Exit:', badCommand.status, badCommand.stderr.split('\n')[0]);
+  const pastEnd = cli(file, 'list', '--page', '5');
+  console.log('List past the last page - Exit:', pastEnd.status, pastEnd.stderr);
+  const search = cli(file, 'search', '--name', 'ada', '--format', 'json');
+  console.log('Search - Exit:', search.status, JSON.parse(search.stdout || '[]').map(emp => emp.id));
+  const remove = cli(file, 'remove', '--id', 'E1');
+  console.log('Remove - Exit:', remove.status, remove.stdout);
+  const missing = cli(file, 'search', '--id', 'E1');
+  console.log('Search after remove - Exit:', missing.status, missing.stderr);
+
+  fs.writeFileSync(file, 'not json');
+  const corrupt = cli(file, 'list');
+  console.log('Corrupt data file - Exit:', corrupt.status, corrupt.stderr);
+}
+
+// Commands run side by side take turns on the data file, so none loses another's change
+async function testConcurrentCommands(dir) {
+  console.log('\n🔒 Testing commands side by side...');
+  const file = path.join(dir, 'locked.json');
+  const add = n => new Promise(resolve => {
+    const child = spawn(process.execPath, [path.join(__dirname, 'employee-management.js'), 'add', '--name', `Worker ${n}`, '--id', `E${n}`], {
+      env: { ...process.env, EMPLOYEE_DATA_FILE: file },
+      stdio: 'ignore'
+    });
+    child.on('exit', resolve);
+  });
+
+  const codes = await Promise.all(Array.from({ length: 12 }, (_, n) => add(n + 1)));
+  console.log('12 adds - Failed:', codes.filter(code => code !== 0).length,
+    'on file:', new EmployeeStore(file).load().length, 'record(s)', 'files:', fs.readdirSync(dir).filter(name => name.startsWith('locked')));
+
+  const store = new EmployeeStore(file);
+  store.lock();
+  const held = cli(file, 'remove', '--id', 'E1');
+  store.unlock();
+  console.log('Remove while the file is locked - Exit:', held.status, held.stderr);
+
+  // A lock file left by a command that died is taken over
+  fs.writeFileSync(`${file}.lock`, String(spawnSync(process.execPath, ['-e', '']).pid));
+  const abandoned = cli(file, 'remove', '--id', 'E1');
+  console.log('Remove after a dead command\'s lock - Exit:', abandoned.status, abandoned.stdout);
+}
+
+function testTransfer(dir) {
+  console.log('\n📦 Testing import and export...');
+  const file = path.join(dir, 'transfer.json');
+  const csv = path.join(dir, 'staff.csv');
+
+  fs.writeFileSync(csv, [
+    'Name,ID,Email,Manager ID,Hire date',
+    'Ada Lovelace,E1,ada@example.com,,2020-01-15',
+    '"Hopper, Grace",E2,grace@example.com,E1,2021-03-01',
+    'Alan Turing,E3,not-an-email,E1,2021-02-30',
+    'Adele Goldberg,E4,adele@example.com,E3,',
+    'Ada Again,E1,,,'
+  ].join('\r\n'));
+
+  const records = readImportFile(csv);
+  const { added, rejected } = importRecords([], records.records);
+  console.log('Accepted rows:', added.map(emp => `${emp.id} ${emp.name}`));
+  rejected.forEach(({ row, id, errors }) => console.log(`  Row ${row} (${id}): ${errors.join('; ')}`));
+
+  const imported = cli(file, 'import', '--file', csv);
+  console.log('Import with rejected rows - Exit:', imported.status);
+  console.log(imported.stdout);
+  const again = cli(file, 'import', '--file', csv, '--format', 'json');
+  console.log('Import again - Exit:', again.status, 'imported:', JSON.parse(again.stdout || '{}').imported);
+  const missingFile = cli(file, 'import', '--file', path.join(dir, 'nope.csv'));
+  console.log('Import a missing file - Exit:', missingFile.status);
+  const badType = cli(file, 'import', '--file', path.join(dir, 'staff.txt'));
+  console.log('Import a .txt file - Exit:', badType.status, badType.stderr.split('\n')[0]);
+
+  const exported = path.join(dir, 'export.csv');
+  const exportRun = cli(file, 'export', '--file', exported, '--sort', 'id');
+  console.log('Export - Exit:', exportRun.status, exportRun.stdout);
+  console.log(fs.readFileSync(exported, 'utf8').trim());
+
+  // What goes out comes back in unchanged
+  const roundTrip = importRecords([], readImportFile(exported).records);
+  console.log('Re-import of the export - Accepted:', roundTrip.added.length, 'Rejected:', roundTrip.rejected.length,
+    'Same data:', JSON.stringify(roundTrip.added) === JSON.stringify(added));
+  console.log('JSON export:', JSON.parse(exportEmployees(added, 'json')).map(emp => emp.name));
+
+  // Values a spreadsheet would run as formulas go out with a ' in front, and import keeps
+  // values as they are - the ' included, as with one that was in the value to begin with
+  const risky = [new Employee({ id: 'E9', name: '=HYPERLINK("http://evil.example","Open")', department: '@SUM(A1)', jobTitle: '-2+3' })];
+  const riskyCsv = path.join(dir, 'risky.csv');
+  fs.writeFileSync(riskyCsv, exportEmployees(risky, 'csv'));
+  console.log(fs.readFileSync(riskyCsv, 'utf8').trim().split('\n')[1]);
+  const back = importRecords([], readImportFile(riskyCsv).records).added[0];
+  console.log('Re-imported:', back.name, back.department, back.jobTitle);
+  fs.writeFileSync(riskyCsv, "Name,ID\n'+44 line,E8\n");
+  console.log('Imported "\'+44 line":', importRecords([], readImportFile(riskyCsv).records).added[0].name);
+}
+
+// Main test runner
+async function runAllTests() {
+  console.log('🚀 Starting Employee Management Tests');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'employees-'));
+
+  try {
+    testStore(dir);
+    await testConcurrentSaves(dir);
+    testValidation();
+    testQuery();
+    testCommands(dir);
+    await testConcurrentCommands(dir);
+    testTransfer(dir);
+
+    console.log('\n✅ Employee tests completed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+runAllTests();
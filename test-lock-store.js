@@ -0,0 +1,133 @@
+// test-lock-store.js - Compare-and-set checks for the lock stores (see lock-store.js)
+// Runs on its own, no server needed: node test-lock-store.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fork } = require('child_process');
+const { MemoryLockStore, FileLockStore, claimKeys } = require('./lock-store');
+const { MemoryStorage } = require('./seat-storage');
+const { createSeatService, normalizeLayout } = require('./seat-service');
+
+const ROUNDS = 200;
+
+// Helper: increment a counter ROUNDS times, re-reading and retrying on every conflict
+function countUp(store) {
+  let conflicts = 0;
+  for (let i = 0; i < ROUNDS; i++) {
+    for (;;) {
+      const record = store.get('counter');
+      const value = { n: (record ? record.value.n : 0) + 1 };
+      if (store.compareAndSet([{ key: 'counter', version: record ? record.version : 0, value }])) break;
+      conflicts++;
+    }
+  }
+  return conflicts;
+}
+
+// Worker mode: count up against a shared directory and report back
+if (process.argv[2] === '--worker') {
+  const conflicts = countUp(new FileLockStore(process.argv[3]));
+  process.send({ conflicts });
+  process.exit(0);
+}
+
+function testCompareAndSet(name, store) {
+  console.log(`\n🔒 Testing ${name} compare-and-set...`);
+
+  console.log('Create seat:1:1 - Result:', store.compareAndSet([{ key: 'seat:1:1', version: 0, value: { status: 'locked', lockedBy: 1 } }]));
+  console.log('Create it again - Result:', store.compareAndSet([{ key: 'seat:1:1', version: 0, value: { status: 'locked', lockedBy: 2 } }]));
+  console.log('Read back:', store.get('seat:1:1'));
+
+  // All or none: a stale version on one key stops the whole change
+  const mixed = store.compareAndSet([
+    { key: 'seat:1:2', version: 0, value: { status: 'locked', lockedBy: 2 } },
+    { key: 'seat:1:1', version: 0, value: { status: 'locked', lockedBy: 2 } }
+  ]);
+  console.log('Two seats, one stale - Result:', mixed, 'seat:1:2 is', store.get('seat:1:2'));
+
+  console.log('Update at the current version - Result:', store.compareAndSet([{ key: 'seat:1:1', version: 1, value: { status: 'available' } }]));
+  console.log('Missing key:', store.get('seat:9:9'));
+}
+
+async function testSharedDirectory(dir) {
+  console.log(`\n👥 Testing two processes counting up in one file store (${ROUNDS} each)...`);
+
+  const results = await Promise.all([1, 2].map(() => new Promise((resolve, reject) => {
+    const worker = fork(__filename, ['--worker', dir]);
+    worker.on('message', resolve);
+    worker.on('error', reject);
+  })));
+
+  const record = new FileLockStore(dir).get('counter');
+  console.log('Conflicts retried:', results.map(r => r.conflicts));
+  console.log(`Final count: ${record.value.n} (expected ${2 * ROUNDS}), version ${record.version}`);
+}
+
+function testAbandonedLock(dir) {
+  console.log('\n💀 Testing a lock file left by a process that died...');
+
+  const store = new FileLockStore(dir);
+  const record = store.get('counter');
+  fs.writeFileSync(path.join(dir, 'counter.json.lock'), '999999999');
+
+  const result = store.compareAndSet([{ key: 'counter', version: record.version, value: { n: 0 } }]);
+  console.log('Compare-and-set past the stale lock - Result:', result);
+}
+
+// Startup claims: each journal and instance id belongs to one instance (see checkSharedSetup in server.js)
+function testClaims(dir) {
+  console.log('\n🏷️ Testing journal claims...');
+
+  const store = new FileLockStore(dir);
+  const claims = (id, journal) => [{ key: `journal:${journal}`, owner: id }, { key: `instance:${id}`, owner: journal }];
+
+  console.log('Instance a claims a.journal - Taken:', claimKeys(store, claims('a', 'a.journal')));
+  console.log('Instance a restarts - Taken:', claimKeys(new FileLockStore(dir), claims('a', 'a.journal')));
+  console.log('Instance b claims a.journal - Taken:', claimKeys(store, claims('b', 'a.journal')));
+  console.log('Instance a claims b.journal - Taken:', claimKeys(store, claims('a', 'b.journal')));
+  console.log('b.journal left unclaimed:', store.get('journal:b.journal'));
+}
+
+function testSharedEvents(dir) {
+  console.log('\n🎭 Testing venues and events shared between instances...');
+
+  const instance = id => createSeatService({ storage: new MemoryStorage(), lockStore: new FileLockStore(dir), instanceId: id, settings: {} });
+  const a = instance('a');
+  const b = instance('b');
+  const { layout } = normalizeLayout({ sections: [{ name: 'Stalls', rows: 1, seatsPerRow: 4 }] });
+
+  const hall = a.createVenue('Main Hall', layout);
+  const show = a.createEvent(hall, 'Show on a', null);
+  const annex = b.createVenue('Annex', layout);
+  const other = b.createEvent(annex, 'Show on b', null);
+  console.log('Ids - a:', hall.id, show.id, 'b:', annex.id, other.id);
+
+  const found = b.findEvent(show.id);
+  console.log('a\'s event on b:', found && found.name, 'seats:', found && found.seats.length);
+  console.log('Unknown event on b:', b.findEvent(99));
+  b.loadShared();
+  console.log('Events on b:', b.events.map(event => `${event.id} ${event.name}`));
+}
+
+// Main test runner
+async function runAllTests() {
+  console.log('🚀 Starting Lock Store Tests');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lock-store-'));
+
+  try {
+    testCompareAndSet('MemoryLockStore', new MemoryLockStore());
+    testCompareAndSet('FileLockStore', new FileLockStore(path.join(dir, 'single')));
+    await testSharedDirectory(path.join(dir, 'shared'));
+    testAbandonedLock(path.join(dir, 'shared'));
+    testClaims(path.join(dir, 'claims'));
+    testSharedEvents(path.join(dir, 'events'));
+
+    console.log('\n✅ Lock store tests completed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+runAllTests();
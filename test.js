@@ -2,11 +2,15 @@
 const BASE_URL = 'http://localhost:3000';
 
 // Helper function to make HTTP requests
-async function makeRequest(method, url, body = null) {
+async function makeRequest(method, url, body = null, token = null) {
   const options = {
     method,
     headers: { 'Content-Type': 'application/json' },
   };
+
+  if (token) {
+    options.headers.Authorization = `Bearer ${token}`;
+  }
   
   if (body) {
     options.body = JSON.stringify(body);
@@ -21,6 +25,29 @@ async function makeRequest(method, url, body = null) {
   }
 }
 
+// Helper: register a test user (or log in if it already exists) and return a token
+const tokens = {};
+async function tokenFor(username) {
+  if (!tokens[username]) {
+    const credentials = { username, password: `${username}-password` };
+    let result = await makeRequest('POST', `${BASE_URL}/api/auth/register`, credentials);
+    if (result.status === 409) {
+      result = await makeRequest('POST', `${BASE_URL}/api/auth/login`, credentials);
+    }
+    tokens[username] = result.data?.data?.token;
+  }
+  return tokens[username];
+}
+
+// Helper: log in as the admin from ADMIN_USERNAME/ADMIN_PASSWORD and return a token
+async function adminToken() {
+  const login = await makeRequest('POST', `${BASE_URL}/api/auth/login`, {
+    username: process.env.ADMIN_USERNAME || 'admin',
+    password: process.env.ADMIN_PASSWORD || 'admin-password'
+  });
+  return login.data?.data?.token;
+}
+
 // Test functions
 async function testGetSeats() {
   console.log('\n📋 Testing GET /seats...');
@@ -30,24 +57,24 @@ async function testGetSeats() {
 }
 
 async function testLockSeat(seatId, user) {
-  console.log(`\n🔒 Testing POST /lock/${seatId}?user=${user}...`);
-  const result = await makeRequest('POST', `${BASE_URL}/lock/${seatId}?user=${user}`);
+  console.log(`\n🔒 Testing POST /lock/${seatId} as ${user}...`);
+  const result = await makeRequest('POST', `${BASE_URL}/lock/${seatId}`, null, await tokenFor(user));
   console.log('Status:', result.status);
   console.log('Response:', result.data);
   return result;
 }
 
 async function testConfirmSeat(seatId, user) {
-  console.log(`\n✅ Testing POST /confirm/${seatId}?user=${user}...`);
-  const result = await makeRequest('POST', `${BASE_URL}/confirm/${seatId}?user=${user}`);
+  console.log(`\n✅ Testing POST /confirm/${seatId} as ${user}...`);
+  const result = await makeRequest('POST', `${BASE_URL}/confirm/${seatId}`, null, await tokenFor(user));
   console.log('Status:', result.status);
   console.log('Response:', result.data);
   return result;
 }
 
 async function testUnlockSeat(seatId) {
-  console.log(`\n🔓 Testing POST /unlock/${seatId}...`);
-  const result = await makeRequest('POST', `${BASE_URL}/unlock/${seatId}`);
+  console.log(`\n🔓 Testing POST /unlock/${seatId} as admin...`);
+  const result = await makeRequest('POST', `${BASE_URL}/unlock/${seatId}`, null, await adminToken());
   console.log('Status:', result.status);
   console.log('Response:', result.data);
   return result;
@@ -118,6 +145,10 @@ async function testErrorScenarios() {
   // Try to confirm with wrong user
   await testLockSeat(5, 'user1');
   await testConfirmSeat(5, 'user2');
+
+  // Admin releases the lock, so another user can take the seat
+  await testUnlockSeat(5);
+  await testLockSeat(5, 'user2');
 }
 
 // Main test runner
@@ -132,7 +163,7 @@ async function runAllTests() {
     
     console.log('\n✅ Basic tests completed!');
     console.log('\n⚠️  To test lock expiration (60s timeout), run: node test.js --expiration');
-    console.log('Or modify LOCK_TTL in server.js to a smaller value like 5000ms for quicker testing');
+    console.log('Or shorten the lock TTL first with PUT /api/admin/settings/lock-ttl (admin token) for quicker testing');
     
   } catch (error) {
     console.error('❌ Test failed:', error.message);
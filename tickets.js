@@ -0,0 +1,200 @@
+// tickets.js - Tickets for booked seats and door check-in
+//
+// Every booking gets a ticket with a signed code: "<payload>.<signature>", where the
+// payload names the ticket, event and seat and the signature is an HMAC-SHA256 over
+// it. The code is what a QR image should encode. At the door, POST /api/check-in
+// verifies the signature and admits each ticket exactly once.
+//
+// Set TICKET_SECRET (falls back to JWT_SECRET) so codes stay valid after a restart.
+const crypto = require('crypto');
+const express = require('express');
+const { base64url } = require('./auth');
+
+// Ticket statuses: valid -> checked-in, or valid -> cancelled
+
+// Helper: signature for a code payload
+function sign(payload, secret) {
+  return base64url(crypto.createHmac('sha256', secret).update(payload).digest());
+}
+
+// Helper: the signed code for a ticket
+function ticketCode(ticket, secret) {
+  const payload = base64url(JSON.stringify({ t: ticket.id, e: ticket.eventId, s: ticket.seatId }));
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+// Helper: check a code's signature, returns its payload or null when forged or malformed
+function readCode(code, secret) {
+  const parts = String(code).split('.');
+  if (parts.length !== 2) return null;
+
+  const [payload, signature] = parts;
+  const expected = sign(payload, secret);
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+// deps: { storage, seatService (see seat-service.js), users (auth.users), requireAuth, requireRole, idempotent }
+function createTickets({ storage, seatService, users, requireAuth, requireRole, idempotent }, secret = process.env.TICKET_SECRET || process.env.JWT_SECRET) {
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    console.warn('TICKET_SECRET is not set; using a random secret, so ticket codes will not survive a restart');
+  }
+
+  const tickets = [];
+
+  // Load tickets saved by a previous run
+  function restore(savedTickets = []) {
+    tickets.push(...savedTickets);
+  }
+
+  // Helper: persist a ticket after every status change
+  function save(ticket) {
+    storage.save('ticket', ticket);
+  }
+
+  // Helper: issue the ticket for a booked seat
+  function issue(seat) {
+    const holder = users.find(u => u.id === seat.bookedBy);
+    const ticket = {
+      id: `T-${crypto.randomBytes(8).toString('hex').toUpperCase()}`,
+      bookingId: seat.bookingId,
+      eventId: seat.eventId,
+      seatId: seat.id,
+      seat: { section: seat.section, row: seat.row, number: seat.number },
+      holderId: seat.bookedBy,
+      holderName: holder ? holder.username : null,
+      status: 'valid',
+      issuedAt: Date.now(),
+      checkedInAt: null,
+      checkedInBy: null
+    };
+    ticket.code = ticketCode(ticket, secret);
+    tickets.push(ticket);
+    save(ticket);
+    return ticket;
+  }
+
+  // Seat change listener (subscribe to seatEvents 'change'):
+  // a booking issues a ticket, a cancellation voids it
+  function onSeatChange(change) {
+    if (change.reason === 'booked') {
+      issue(change.seat);
+    } else if (change.reason === 'cancelled') {
+      const ticket = tickets.find(t =>
+        t.eventId === change.eventId && t.seatId === change.seatId && t.status === 'valid'
+      );
+      if (ticket) {
+        ticket.status = 'cancelled';
+        save(ticket);
+      }
+    }
+  }
+
+  // Helper: is the ticket's booking still confirmed?
+  function bookingConfirmed(ticket) {
+    const booking = seatService.bookings.find(b => b.id === ticket.bookingId);
+    return Boolean(booking) && booking.status === 'confirmed';
+  }
+
+  const router = express.Router();
+
+  // GET /api/tickets - The signed-in user's tickets (optional ?eventId=)
+  router.get('/tickets', requireAuth, (req, res) => {
+    const eventId = req.query.eventId ? parseInt(req.query.eventId) : null;
+    const mine = tickets.filter(t => t.holderId === req.user.id && (!eventId || t.eventId === eventId));
+
+    res.json({
+      success: true,
+      count: mine.length,
+      data: mine
+    });
+  });
+
+  // GET /api/tickets/:ticketId - One ticket; its code is the QR payload
+  router.get('/tickets/:ticketId', requireAuth, (req, res) => {
+    const ticket = tickets.find(t => t.id === req.params.ticketId);
+
+    if (!ticket || (ticket.holderId !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { ...ticket, qrPayload: ticket.code }
+    });
+  });
+
+  // POST /api/check-in - Admit a ticket at the door, { code, eventId? } (admin only)
+  // Giving eventId rejects tickets for other shows.
+  router.post('/check-in', requireAuth, requireRole('admin'), idempotent, (req, res) => {
+    const { code, eventId } = req.body;
+    const payload = typeof code === 'string' && readCode(code, secret);
+
+    if (!payload) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ticket code'
+      });
+    }
+
+    const ticket = tickets.find(t => t.id === payload.t);
+
+    if (!ticket || ticket.eventId !== payload.e || ticket.seatId !== payload.s) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found'
+      });
+    }
+
+    if (eventId !== undefined && ticket.eventId !== parseInt(eventId)) {
+      return res.status(409).json({
+        success: false,
+        message: `Ticket is for event ${ticket.eventId}`,
+        data: ticket
+      });
+    }
+
+    if (ticket.status === 'cancelled' || !bookingConfirmed(ticket)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ticket has been cancelled',
+        data: ticket
+      });
+    }
+
+    if (ticket.status === 'checked-in') {
+      return res.status(409).json({
+        success: false,
+        message: `Ticket was already checked in at ${new Date(ticket.checkedInAt).toISOString()}`,
+        data: ticket
+      });
+    }
+
+    ticket.status = 'checked-in';
+    ticket.checkedInAt = Date.now();
+    ticket.checkedInBy = req.user.id;
+    save(ticket);
+
+    res.json({
+      success: true,
+      message: 'Ticket checked in',
+      data: ticket
+    });
+  });
+
+  return { router, onSeatChange, restore, tickets };
+}
+
+module.exports = { createTickets };
@@ -0,0 +1,209 @@
+// waitlist.js - Queue users for sold-out seats and offer released seats in turn
+//
+// A user joins the waitlist for a whole event, one section or specific seats.
+// When a seat becomes available again, the oldest matching entry gets an
+// exclusive, time-limited lock on it (an "offer"). Confirming the seat as usual
+// claims it; if the offer lapses or is released, the seat goes to the next entry.
+// A user already at their per-event seat limits is passed over and keeps their place.
+const express = require('express');
+
+// Entry statuses: waiting -> offered -> fulfilled, or lapsed/declined/left
+const OPEN_STATUSES = ['waiting', 'offered'];
+
+// deps: { storage, findEvent(eventId), settings, requireAuth, offerSeat(seat, userId) -> boolean, releaseSeat(seat, actor, reason),
+//         checkUserLimits(event, userId, count) -> error or null, idempotent (see idempotency.js) }
+function createWaitlist({ storage, findEvent, settings, requireAuth, offerSeat, releaseSeat, checkUserLimits, idempotent }) {
+  const entries = [];
+  let nextEntryId = 1;
+
+  // Load entries saved by a previous run
+  function restore(savedEntries = []) {
+    entries.push(...savedEntries);
+    nextEntryId = Math.max(0, ...entries.map(e => e.id)) + 1;
+  }
+
+  // Helper: persist an entry after every status change
+  function save(entry) {
+    storage.save('waitlist', entry);
+  }
+
+  // Helper: does this entry want this seat?
+  function matches(entry, seat) {
+    if (entry.eventId !== seat.eventId) return false;
+    if (entry.seatIds) return entry.seatIds.includes(seat.id);
+    if (entry.section) return entry.section.toLowerCase() === seat.section.toLowerCase();
+    return true;
+  }
+
+  // Helper: offer a free seat to the first waiting entry that wants it and whose
+  // user can take one more seat at this event
+  function offerToNext(seat) {
+    if (seat.status !== 'available') return;
+
+    const event = findEvent(seat.eventId);
+    const entry = entries.find(e =>
+      e.status === 'waiting' && matches(e, seat) && !checkUserLimits(event, e.userId, 1)
+    );
+    if (!entry) return;
+
+    if (!offerSeat(seat, entry.userId)) return; // another instance took the seat first
+    entry.status = 'offered';
+    entry.offer = {
+      seatId: seat.id,
+      offeredAt: Date.now(),
+      expiresAt: Date.now() + settings.offerExpirationTime
+    };
+    save(entry);
+  }
+
+  // Seat change listener (subscribe to seatEvents 'change')
+  function onSeatChange(change) {
+    const offered = entries.find(e =>
+      e.status === 'offered' && e.eventId === change.eventId && e.offer.seatId === change.seatId
+    );
+
+    if (offered && change.status === 'booked' && change.actor === offered.userId) {
+      offered.status = 'fulfilled';
+      save(offered);
+      return;
+    }
+
+    if (change.status !== 'available') return;
+
+    if (offered) {
+      offered.status = change.reason === 'expired' ? 'lapsed' : 'declined';
+      save(offered);
+    }
+
+    // Defer so every listener sees the release before the offer's lock;
+    // nextTick still runs before any other request can grab the seat.
+    process.nextTick(() => {
+      const event = findEvent(change.eventId);
+      const seat = event && event.seats.find(s => s.id === change.seatId);
+      if (seat) offerToNext(seat);
+    });
+  }
+
+  const router = express.Router();
+
+  // POST /api/events/:eventId/waitlist - Join the waitlist, optionally for { section } or { seatIds }
+  router.post('/events/:eventId/waitlist', requireAuth, idempotent, (req, res) => {
+    const event = findEvent(parseInt(req.params.eventId));
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const { section, seatIds } = req.body;
+
+    if (section !== undefined && seatIds !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Give either section or seatIds, not both'
+      });
+    }
+
+    if (section !== undefined && !event.seats.some(seat => seat.section.toLowerCase() === String(section).toLowerCase())) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown section "${section}"`
+      });
+    }
+
+    if (seatIds !== undefined && (!Array.isArray(seatIds) || seatIds.length === 0 ||
+        seatIds.some(id => !event.seats.find(seat => seat.id === parseInt(id))))) {
+      return res.status(400).json({
+        success: false,
+        message: 'seatIds must be a non-empty array of seats in this event'
+      });
+    }
+
+    const wanted = {
+      eventId: event.id,
+      section: section !== undefined ? String(section) : null,
+      seatIds: seatIds !== undefined ? seatIds.map(id => parseInt(id)) : null
+    };
+
+    if (event.seats.some(seat => seat.status === 'available' && matches(wanted, seat))) {
+      return res.status(409).json({
+        success: false,
+        message: 'Matching seats are available now. Book them directly'
+      });
+    }
+
+    const entry = {
+      id: nextEntryId++,
+      ...wanted,
+      userId: req.user.id,
+      status: 'waiting',
+      offer: null,
+      createdAt: Date.now()
+    };
+    entries.push(entry);
+    save(entry);
+
+    res.status(201).json({
+      success: true,
+      message: 'Joined the waitlist',
+      data: {
+        ...entry,
+        position: entries.filter(e => e.eventId === event.id && e.status === 'waiting').indexOf(entry) + 1
+      }
+    });
+  });
+
+  // GET /api/waitlist - The signed-in user's waitlist entries (open ones unless ?all=true)
+  router.get('/waitlist', requireAuth, (req, res) => {
+    const mine = entries.filter(e =>
+      e.userId === req.user.id && (req.query.all === 'true' || OPEN_STATUSES.includes(e.status))
+    );
+
+    res.json({
+      success: true,
+      count: mine.length,
+      data: mine
+    });
+  });
+
+  // DELETE /api/waitlist/:entryId - Leave the waitlist; an open offer is passed on
+  router.delete('/waitlist/:entryId', requireAuth, idempotent, (req, res) => {
+    const entry = entries.find(e => e.id === parseInt(req.params.entryId) && e.userId === req.user.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    if (!OPEN_STATUSES.includes(entry.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Waitlist entry is already ${entry.status}`
+      });
+    }
+
+    const event = entry.status === 'offered' && findEvent(entry.eventId);
+    const seat = event && event.seats.find(s => s.id === entry.offer.seatId);
+
+    entry.status = 'left';
+    save(entry);
+
+    if (seat && seat.status === 'locked' && seat.lockedBy === entry.userId) {
+      releaseSeat(seat, entry.userId, 'released');
+    }
+
+    res.json({
+      success: true,
+      message: 'Left the waitlist',
+      data: entry
+    });
+  });
+
+  return { router, onSeatChange, restore, entries };
+}
+
+module.exports = { createWaitlist };